@@ -1,7 +1,15 @@
 'use strict';
 
 const Ceych = require('./lib/ceych');
+const { InProcessBroadcast } = require('./lib/broadcast');
+const { StatsDMetrics, DogStatsDMetrics } = require('./lib/metrics');
+const PrometheusMetrics = require('./lib/prometheus');
 
 module.exports.createClient = (opts) => {
   return new Ceych(opts);
 };
+
+module.exports.InProcessBroadcast = InProcessBroadcast;
+module.exports.StatsDMetrics = StatsDMetrics;
+module.exports.DogStatsDMetrics = DogStatsDMetrics;
+module.exports.PrometheusMetrics = PrometheusMetrics;
@@ -0,0 +1,157 @@
+'use strict';
+
+const createStore = require('./store');
+
+/**
+ * Wraps a function that takes a list of ids and returns a list of results, caching the result for each id separately.
+ * Only the ids without a fresh result are passed on, and the results are returned in the order of the ids given.
+ * @param {object} cacheClient The Catbox client.
+ * @param {object} cacheOpts The options the function was wrapped with, filled in from the client's.
+ * @param {function} fn An asynchronous function called with an array of ids, and any other arguments, that resolves to an array of results in the same order.
+ * @returns {function}
+ */
+module.exports = (cacheClient, cacheOpts, fn) => {
+  const store = createStore(cacheClient, cacheOpts, fn);
+  const { stats } = store;
+
+  async function find(keys) {
+    const replies = await store.readMany(keys);
+    // The tags of every entry are read together, rather than for each entry
+    const current = await store.currentTags(replies.filter(Boolean).map((reply) => reply.item));
+
+    return Promise.all(replies.map(async (reply) => {
+      if (!reply) {
+        return { found: false };
+      }
+
+      const state = await store.inspect(reply.item, 0, current);
+      if (state === 'legacy') {
+        return { found: true, value: reply.item };
+      }
+      if (state === 'fresh') {
+        return { found: true, value: await store.decode(reply.item), ttl: reply.item.ttl / 1000 };
+      }
+      return { found: false, outdated: store.outdatedInL1(reply, state) };
+    }));
+  }
+
+  // L1 copies that can't be used are read again from the cache client, where another client may have replaced them
+  async function lookup(keys) {
+    const found = await find(keys);
+    const outdated = keys.filter((key, i) => found[i].outdated);
+
+    if (outdated.length) {
+      outdated.forEach(store.forget);
+      const again = await find(outdated);
+      found.forEach((result, i) => {
+        if (result.outdated) {
+          found[i] = again.shift();
+        }
+      });
+    }
+    return found;
+  }
+
+  async function callThrough(ids, rest, keys) {
+    const { functionStats } = cacheOpts;
+    const startTime = performance.now();
+    const tags = store.tagsForCall();
+    let results;
+
+    if (functionStats) {
+      functionStats.started();
+    }
+    try {
+      results = await store.trace('ceych.fn', { 'ceych.ids': ids.length }, () => fn(ids, ...rest));
+    } finally {
+      if (functionStats) {
+        functionStats.settled();
+      }
+    }
+
+    if (!Array.isArray(results) || results.length !== ids.length) {
+      throw new Error(`Batch function must return an array with a result for each id, received [${results}]`);
+    }
+
+    // Each result is charged an equal share of the call's duration
+    const delta = (performance.now() - startTime) / ids.length;
+    return Promise.all(results.map(async (result, i) => {
+      const args = [ids[i], ...rest];
+      const ttl = store.ttlFor(result, args);
+
+      if (ttl === 0) {
+        stats.increment('ceych.skipped_writes');
+        return result;
+      }
+      return store.write(keys[i], result, store.jitter(ttl), args, { delta, tags });
+    }));
+  }
+
+  // Counts a call for each id once the function has settled, with whether it succeeded
+  async function countCalls(result, ids, call) {
+    let outcome = 'success';
+    try {
+      return await call();
+    } catch (err) {
+      outcome = 'error';
+      throw err;
+    } finally {
+      ids.forEach(() => stats.increment('ceych.calls', { result, outcome }));
+    }
+  }
+
+  // Returns a result for each id, from the cache where it can and from fn where it can't
+  async function cached(ids, rest) {
+    if (!cacheClient.isReady()) {
+      store.emit('bypass', {});
+      return countCalls('bypass', ids, () => fn(ids, ...rest));
+    }
+
+    // Repeated ids are only looked up, and passed to fn, once
+    const unique = [...new Set(ids)];
+    let keys;
+    let found;
+    const startTime = performance.now();
+    try {
+      keys = await store.keysFor(unique.map((id) => [id, ...rest]));
+      found = await lookup(keys);
+    } catch (err) {
+      if (store.bypasses(err)) {
+        return countCalls('bypass', ids, () => fn(ids, ...rest));
+      }
+      throw err;
+    }
+    // Every id was looked up together, so each event has the duration of the whole lookup
+    const duration = performance.now() - startTime;
+    const missing = unique.filter((id, i) => !found[i].found);
+    const values = new Map();
+
+    unique.forEach((id, i) => {
+      if (found[i].found) {
+        stats.increment('ceych.hits');
+        stats.increment('ceych.calls', { result: 'hit', outcome: 'success' });
+        store.emit('hit', { key: keys[i].id, duration, ttl: found[i].ttl });
+        values.set(id, found[i].value);
+      } else {
+        stats.increment('ceych.misses');
+        store.emit('miss', { key: keys[i].id, duration });
+      }
+    });
+
+    if (missing.length) {
+      const missingKeys = keys.filter((key, i) => !found[i].found);
+      const results = await countCalls('miss', missing, () => callThrough(missing, rest, missingKeys));
+      missing.forEach((id, i) => values.set(id, results[i]));
+    }
+
+    return ids.map((id) => values.get(id));
+  }
+
+  return async function (ids, ...rest) {
+    if (!Array.isArray(ids)) {
+      throw new Error(`Can only call a batch function with an array of ids, received [${ids}]`);
+    }
+
+    return store.trace('ceych.batch', { 'ceych.ids': ids.length }, () => cached(ids, rest));
+  };
+};
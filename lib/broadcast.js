@@ -0,0 +1,37 @@
+'use strict';
+
+const EventEmitter = require('events');
+
+/**
+ * Broadcasts messages between ceych clients in the same process. Useful in tests, or as a model
+ * for adapters over a real transport such as Redis pub/sub.
+ *
+ * A broadcast adapter is any object with:
+ * - `publish(message)` - sends a message to every subscriber, including those in this process.
+ *   May return a promise.
+ * - `subscribe(handler)` - calls `handler(message)` for every message published. May return a
+ *   function that stops the handler being called.
+ *
+ * Messages are plain objects that can be serialised to JSON, such as
+ * `{ type: 'invalidate', key: { segment, id } }`.
+ */
+class InProcessBroadcast extends EventEmitter {
+  publish(message) {
+    this.emit('message', message);
+  }
+
+  subscribe(handler) {
+    this.on('message', handler);
+    return () => this.off('message', handler);
+  }
+}
+
+function isBroadcast(broadcast) {
+  return broadcast !== null && typeof broadcast === 'object' &&
+    typeof broadcast.publish === 'function' && typeof broadcast.subscribe === 'function';
+}
+
+module.exports = {
+  InProcessBroadcast,
+  isBroadcast
+};
@@ -0,0 +1,108 @@
+'use strict';
+
+// Serialises a value to a string that is the same for any two equal values, for use in cache keys.
+// Object keys are sorted and every value is prefixed with its type, so `{a:1,b:2}` and `{b:2,a:1}`
+// match while `1` and `'1'`, or a Date and its ISO string, do not.
+
+function describe(value) {
+  return Object.prototype.toString.call(value).slice(8, -1);
+}
+
+function serialiseEntries(entries, open, close) {
+  return `${open}${entries.sort().join(',')}${close}`;
+}
+
+function serialise(value, path, ancestors) {
+  switch (typeof value) {
+    case 'undefined':
+      return 'u';
+    case 'boolean':
+      return `b:${value}`;
+    case 'number':
+      return `d:${Object.is(value, -0) ? '-0' : String(value)}`;
+    case 'bigint':
+      return `i:${value}`;
+    case 'string':
+      return `s:${JSON.stringify(value)}`;
+    case 'function':
+    case 'symbol':
+      throw new Error(`Cannot serialise a ${typeof value} at ${path}`);
+  }
+
+  if (value === null) {
+    return 'n';
+  }
+
+  if (ancestors.has(value)) {
+    throw new Error(`Circular reference at ${path}`);
+  }
+
+  ancestors.add(value);
+  try {
+    return serialiseObject(value, path, ancestors);
+  } finally {
+    ancestors.delete(value);
+  }
+}
+
+function serialiseObject(value, path, ancestors) {
+  if (Array.isArray(value)) {
+    return `[${value.map((item, i) => serialise(item, `${path}[${i}]`, ancestors)).join(',')}]`;
+  }
+
+  if (Buffer.isBuffer(value)) {
+    return `B:${value.toString('base64')}`;
+  }
+
+  if (value instanceof Date) {
+    return `D:${isNaN(value.getTime()) ? 'invalid' : value.toISOString()}`;
+  }
+
+  if (value instanceof RegExp) {
+    return `R:${String(value)}`;
+  }
+
+  if (value instanceof Map) {
+    const entries = Array.from(value, ([key, item]) => {
+      const serialisedKey = serialise(key, `${path}.<key>`, ancestors);
+      return `${serialisedKey}=>${serialise(item, `${path}.get(${serialisedKey})`, ancestors)}`;
+    });
+    return serialiseEntries(entries, 'M{', '}');
+  }
+
+  if (value instanceof Set) {
+    const members = Array.from(value, (item) => serialise(item, `${path}.<member>`, ancestors));
+    return serialiseEntries(members, 'S{', '}');
+  }
+
+  const type = value.constructor && value.constructor !== Object ? value.constructor.name : describe(value);
+  const plain = [Object.prototype, null].includes(Object.getPrototypeOf(value));
+
+  // Instances such as URLs keep their state out of their own properties, so are serialised as they
+  // would be to JSON, tagged with their type
+  if (!plain && typeof value.toJSON === 'function') {
+    return `${type}(${serialise(value.toJSON(), `${path}.toJSON()`, ancestors)})`;
+  }
+
+  const keys = Object.keys(value);
+  if (!plain && !keys.length) {
+    throw new Error(`Cannot serialise ${type} at ${path}`);
+  }
+
+  // Anything else is serialised by its own enumerable properties, tagged with its type so that
+  // instances of different classes with the same properties don't collide
+  const entries = keys.map((key) => {
+    return `${JSON.stringify(key)}:${serialise(value[key], `${path}.${key}`, ancestors)}`;
+  });
+  return serialiseEntries(entries, `${type}{`, '}');
+}
+
+/**
+ * Serialises a value, such as the arguments to a wrapped function, to a canonical string.
+ * @param {any} value The value to serialise.
+ * @param {string} [path] A name for the value, used to describe where problems are in error messages.
+ * @returns {string}
+ */
+module.exports.stringify = (value, path = 'value') => {
+  return serialise(value, path, new Set());
+};
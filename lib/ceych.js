@@ -1,9 +1,24 @@
 'use strict';
 
+const EventEmitter = require('events');
 const Catbox = require('@hapi/catbox').Client;
 const CatboxMemory = require('@hapi/catbox-memory');
 const memoize = require('./memoize');
-const createCacheKey = require('./utils').createCacheKey;
+const batch = require('./batch');
+const createStore = require('./store');
+const envelope = require('./envelope');
+const { argsSerializers, mapWithConcurrency, functionName, createSegment, createCacheKey, createTagKey, createFunctionId } = require('./utils');
+const codecs = require('./codecs');
+const compression = require('./compression');
+const LRU = require('./lru');
+const { isBroadcast } = require('./broadcast');
+const Versions = require('./versions');
+const Generations = require('./generations');
+const { CircuitBreaker } = require('./circuit-breaker');
+const { guard } = require('./guard');
+const FunctionStats = require('./function-stats');
+const metrics = require('./metrics');
+const tracing = require('./tracing');
 
 function createDefaultCacheClient() {
   return new Catbox(new CatboxMemory.Engine());
@@ -29,12 +44,235 @@ function validateClientOpts(opts) {
     throw new Error('Default TTL cannot be less than or equal to zero');
   }
 
+  if (!opts.hasOwnProperty('staleWhileRevalidate')) {  // eslint-disable-line no-prototype-builtins
+    opts.staleWhileRevalidate = 0;
+  }
+
+  if (typeof opts.staleWhileRevalidate !== 'number' || opts.staleWhileRevalidate < 0) {
+    throw new Error('Stale while revalidate window must be a number greater than or equal to zero');
+  }
+
+  if (!opts.hasOwnProperty('staleIfError')) {  // eslint-disable-line no-prototype-builtins
+    opts.staleIfError = 0;
+  }
+
+  if (typeof opts.staleIfError !== 'number' || opts.staleIfError < 0) {
+    throw new Error('Stale if error window must be a number greater than or equal to zero');
+  }
+
+  if (opts.namespace !== undefined && !isNonEmptyString(opts.namespace)) {
+    throw new Error('Namespace must be a non-empty string');
+  }
+
+  if (opts.keyVersion !== undefined && !isNonEmptyString(opts.keyVersion) && !Number.isFinite(opts.keyVersion)) {
+    throw new Error('Key version must be a non-empty string, a number or package');
+  }
+
+  if (!opts.hasOwnProperty('earlyRefresh')) {  // eslint-disable-line no-prototype-builtins
+    opts.earlyRefresh = 0;
+  }
+
+  if (!isWindow(opts.earlyRefresh)) {
+    throw new Error('Early refresh must be a number greater than or equal to zero');
+  }
+
+  if (!opts.hasOwnProperty('ttlJitter')) {  // eslint-disable-line no-prototype-builtins
+    opts.ttlJitter = 0;
+  }
+
+  if (!isFraction(opts.ttlJitter)) {
+    throw new Error('TTL jitter must be a number from zero to one');
+  }
+
+  if (!opts.keySerializer) {
+    opts.keySerializer = 'json';
+  }
+
+  if (!argsSerializers.hasOwnProperty(opts.keySerializer)) {  // eslint-disable-line no-prototype-builtins
+    throw new Error(`Key serializer must be one of ${Object.keys(argsSerializers).join(', ')}`);
+  }
+
+  if (!opts.codec) {
+    opts.codec = 'json';
+  }
+
+  if (!codecs.isCodec(opts.codec)) {
+    throw new Error('Codec must be json, structured or an object with an id and encode and decode functions');
+  }
+
+  if (opts.compression && !compression.isCompressionOpts(opts.compression)) {
+    throw new Error('Compression must be an object with a threshold of zero or more bytes and an algorithm of gzip or brotli');
+  }
+
+  if (opts.l1 && !LRU.isOptions(opts.l1)) {
+    throw new Error('L1 options must be an object where maxEntries, maxBytes and ttl are numbers greater than zero');
+  }
+
+  if (opts.broadcast && !isBroadcast(opts.broadcast)) {
+    throw new Error('Broadcast must be an object with publish and subscribe functions');
+  }
+
+  if (!opts.hasOwnProperty('tagTTL')) {  // eslint-disable-line no-prototype-builtins
+    opts.tagTTL = 86400;
+  }
+
+  if (typeof opts.tagTTL !== 'number' || opts.tagTTL <= 0) {
+    throw new Error('Tag TTL must be a number greater than zero');
+  }
+
+  for (const name of ['readTimeout', 'writeTimeout']) {
+    if (opts[name] !== undefined && (typeof opts[name] !== 'number' || opts[name] <= 0)) {
+      throw new Error(`${name === 'readTimeout' ? 'Read' : 'Write'} timeout must be a number of milliseconds greater than zero`);
+    }
+  }
+
+  if (opts.circuitBreaker && !CircuitBreaker.isOptions(opts.circuitBreaker)) {
+    throw new Error('Circuit breaker must be true or an object where threshold and resetTimeout are numbers greater than zero');
+  }
+
+  if (!opts.writeMode) {
+    opts.writeMode = 'await';
+  }
+
+  if (!isWriteMode(opts.writeMode)) {
+    throw new Error('Write mode must be await or background');
+  }
+
+  if (opts.onWriteError !== undefined && typeof opts.onWriteError !== 'function') {
+    throw new Error('Write error hook must be a function');
+  }
+
+  if (opts.metrics && !metrics.isMetrics(opts.metrics)) {
+    throw new Error('Metrics must be an object with increment and timing functions');
+  }
+
+  if (opts.tracer && !tracing.isTracer(opts.tracer)) {
+    throw new Error('Tracer must be true or an object with a startActiveSpan function');
+  }
+
+  if (opts.onEvent !== undefined && typeof opts.onEvent !== 'function') {
+    throw new Error('Event hook must be a function');
+  }
+
+  if (opts.generations && !Generations.isOptions(opts.generations)) {
+    throw new Error('Generations must be true or an object with a ttl greater than zero');
+  }
+
   return opts;
 }
 
-function validateInvalidateOpts(opts) {
+function isWindow(value) {
+  return typeof value === 'number' && value >= 0;
+}
+
+function isFraction(value) {
+  return typeof value === 'number' && value >= 0 && value <= 1;
+}
+
+function isWriteMode(value) {
+  return value === 'await' || value === 'background';
+}
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.length > 0;
+}
+
+const isTag = isNonEmptyString;
+
+// Every option that can be given to `wrap`, along with what a valid value looks like.
+// `invalidate` is validated against the same options so the two always build the same keys.
+const wrapOptsSchema = {
+  ttl: {
+    valid: (ttl) => typeof ttl === 'number' && ttl > 0,
+    expected: 'a number greater than zero'
+  },
+  suffix: {
+    valid: (suffix) => typeof suffix === 'string',
+    expected: 'a string'
+  },
+  staleWhileRevalidate: {
+    valid: isWindow,
+    expected: 'a number greater than or equal to zero'
+  },
+  staleIfError: {
+    valid: isWindow,
+    expected: 'a number greater than or equal to zero'
+  },
+  earlyRefresh: {
+    valid: isWindow,
+    expected: 'a number greater than or equal to zero'
+  },
+  ttlJitter: {
+    valid: isFraction,
+    expected: 'a number from zero to one'
+  },
+  name: {
+    valid: isNonEmptyString,
+    expected: 'a non-empty string'
+  },
+  key: {
+    valid: (key) => typeof key === 'function',
+    expected: 'a function'
+  },
+  codec: {
+    valid: codecs.isCodec,
+    expected: 'json, structured or an object with an id and encode and decode functions'
+  },
+  compression: {
+    valid: (opts) => opts === false || compression.isCompressionOpts(opts),
+    expected: 'false or an object with a threshold of zero or more bytes and an algorithm of gzip or brotli'
+  },
+  shouldCache: {
+    valid: (shouldCache) => typeof shouldCache === 'function',
+    expected: 'a function'
+  },
+  ttlFor: {
+    valid: (ttlFor) => typeof ttlFor === 'function',
+    expected: 'a function'
+  },
+  errorTTL: {
+    valid: (ttl) => typeof ttl === 'number' && ttl > 0,
+    expected: 'a number greater than zero'
+  },
+  errorFilter: {
+    valid: (errorFilter) => typeof errorFilter === 'function',
+    expected: 'a function'
+  },
+  writeMode: {
+    valid: isWriteMode,
+    expected: 'await or background'
+  },
+  tags: {
+    valid: (tags) => typeof tags === 'function' || (Array.isArray(tags) && tags.every(isTag)),
+    expected: 'an array of non-empty strings or a function'
+  }
+};
+
+// Batch functions only cache fresh results, so the options for serving results stale, refreshing them or caching errors don't apply
+const batchOptsSchema = Object.fromEntries(Object.entries(wrapOptsSchema).filter(([name]) => {
+  return !['staleWhileRevalidate', 'staleIfError', 'earlyRefresh', 'errorTTL', 'errorFilter'].includes(name);
+}));
+
+function findInvalidOpt(opts, schema = wrapOptsSchema) {
+  for (const name of Object.keys(opts)) {
+    const rule = schema[name];
+
+    if (!rule) {
+      return `${name} is not a recognised option`;
+    }
+    if (opts[name] !== undefined && !rule.valid(opts[name])) {
+      return `${name} must be ${rule.expected}`;
+    }
+  }
+}
+
+function withoutUndefined(opts) {
+  return Object.fromEntries(Object.entries(opts).filter(([, value]) => value !== undefined));
+}
+
+function validateInvalidateOpts(opts, method = 'invalidate') {
   if (!opts) {
-    throw new Error('Incorrect invalidate opts received, you must pass a function or options object to invalidate.');
+    throw new Error(`Incorrect ${method} opts received, you must pass a function or options object to ${method}.`);
   }
 
   if (typeof opts === 'function') {
@@ -44,20 +282,27 @@ function validateInvalidateOpts(opts) {
     };
   }
 
-  if (!opts.func || typeof opts.func !== 'function') {
-    throw new Error('Incorrect invalidate opts received, opts.func must be a function.');
+  const { func, ...rest } = opts;
+  // Keys that aren't wrap options are ignored, as invalidate always has, so options objects with other keys still work
+  const wrapOpts = Object.fromEntries(Object.entries(rest).filter(([name]) => wrapOptsSchema.hasOwnProperty(name)));  // eslint-disable-line no-prototype-builtins
+
+  if (!func || typeof func !== 'function') {
+    throw new Error(`Incorrect ${method} opts received, opts.func must be a function.`);
   }
 
-  if (opts.suffix && typeof opts.suffix !== 'string') {
-    throw new Error('Incorrect invalidate opts received, opts.suffix must be a string.');
+  const invalid = findInvalidOpt(wrapOpts);
+  if (invalid) {
+    throw new Error(`Incorrect ${method} opts received, opts.${invalid}.`);
   }
-  
-  if (!opts.suffix) opts.suffix = '';
 
-  return opts;
+  return {
+    ...withoutUndefined(wrapOpts),
+    func,
+    suffix: wrapOpts.suffix || ''
+  };
 }
 
-function getWrapOpts(func, ttl, suffix) {
+function getWrapOpts(func, opts) {
   if (!func) {
     throw new Error('Can only wrap a function, received nothing');
   }
@@ -66,58 +311,465 @@ function getWrapOpts(func, ttl, suffix) {
     throw new Error(`Can only wrap a function, received [${func}]`);
   }
 
-  if (typeof ttl !== 'number') {
-    throw new Error('Incorrect wrap opts received, ttl must be a number');
+  const invalid = findInvalidOpt(opts);
+  if (invalid) {
+    throw new Error(`Incorrect wrap opts received, ${invalid}`);
   }
 
-  if (typeof suffix !== 'string') {
-    throw new Error('Incorrect wrap opts received, suffix must be a string');
-  }
-
-  return {
-    ttl,
-    suffix
-  };
+  return withoutUndefined(opts);
 }
 
-class Ceych {
+/**
+ * Emits `hit`, `miss`, `stale`, `set`, `error`, `bypass` and `invalidate` events, each with an object describing it.
+ * `error` events are only emitted when there are listeners for them, so that they can't crash the process.
+ */
+class Ceych extends EventEmitter {
   constructor(opts) {
+    super();
     opts = validateClientOpts(opts);
     opts.cacheClient.start();
 
     this.defaultTTL = opts.defaultTTL;
+    this.staleWhileRevalidate = opts.staleWhileRevalidate;
+    this.staleIfError = opts.staleIfError;
+    this.earlyRefresh = opts.earlyRefresh;
+    this.ttlJitter = opts.ttlJitter;
+    this.keySerializer = opts.keySerializer;
+    this.codec = opts.codec;
+    this.compression = opts.compression;
+    this.writeMode = opts.writeMode;
+    this.onWriteError = opts.onWriteError;
+    this.onEvent = opts.onEvent;
+    this.tracer = tracing.resolve(opts.tracer);
     this.cache = opts.cacheClient;
-    this.stats = opts.statsClient;
+    // Either the metrics adapter given, or one for the StatsD client
+    this.metrics = metrics.resolve(opts);
+    this.stats = this.metrics && metrics.withLabels(this.metrics, {});
+    this.failOpen = Boolean(opts.failOpen);
+    this.countBytes = Boolean(opts.countBytes);
+    this.circuitBreaker = opts.circuitBreaker ? this.createCircuitBreaker(opts.circuitBreaker) : null;
+    // Reads and writes go through this, so that they time out and are stopped by the circuit breaker
+    this.client = guard(this.cache, {
+      readTimeout: opts.readTimeout,
+      writeTimeout: opts.writeTimeout,
+      circuitBreaker: this.circuitBreaker,
+      statsClient: this.stats
+    });
+    this.segment = createSegment(opts);
+    this.l1 = opts.l1 ? new LRU(opts.l1) : null;
+    this.broadcast = opts.broadcast;
+    // Versions are held in the L1 too, and replacing one is broadcast like an invalidation
+    const local = { l1: this.l1, broadcast: this.broadcast };
+    this.tagVersions = new Versions(this.client, opts.tagTTL, (tag) => createTagKey(tag, this.segment), local);
+    this.generations = opts.generations ? new Generations(this.client, opts.generations, this.segment, local) : null;
+    // The unwrapped function and options behind each wrapped function, so that it can be warmed
+    this.wrapped = new WeakMap();
+    // The same for each function that has been wrapped, by its name option or source and its suffix, so that they can be listed
+    this.registered = new Map();
+
+    // Entries invalidated by other clients are evicted from this client's L1 too
+    if (this.l1 && this.broadcast) {
+      this.broadcast.subscribe((message) => {
+        if (message?.type === 'invalidate' && message.key) {
+          this.l1.delete(message.key);
+        }
+      });
+    }
   }
 
   /**
    * Returns a wrapped function that implements caching.
+   * Options can be given as an object, or as the positional `ttl` and `suffix` arguments.
    * @param {function} func An asynchronous function to be wrapped
-   * @param {number} [ttl] Overrides the default TTL of whatever was supplied to Ceych constructor or 30 seconds.
-   * @param {string} [suffix] A string appended to cache keys to differentiate between identical functions.
+   * @param {number | object} [ttlOrOpts] Either the TTL or an object of options for this function.
+   * @param {number} [ttlOrOpts.ttl] Overrides the default TTL of whatever was supplied to Ceych constructor or 30 seconds.
+   * @param {string} [ttlOrOpts.suffix] A string appended to cache keys to differentiate between identical functions.
+   * @param {number} [ttlOrOpts.staleWhileRevalidate] How long, in seconds, an expired result can still be returned while it is refreshed in the background. Overrides the client's window.
+   * @param {number} [ttlOrOpts.staleIfError] How long, in seconds, an expired result can still be returned if the function fails. Overrides the client's window.
+   * @param {number} [ttlOrOpts.earlyRefresh] How eagerly fresh results are refreshed in the background before they expire. Overrides the client's value.
+   * @param {number} [ttlOrOpts.ttlJitter] The most that the TTL is randomly shortened by, as a fraction of it. Overrides the client's value.
+   * @param {string} [ttlOrOpts.name] A stable name for the function, used in cache keys in place of its source text.
+   * @param {function} [ttlOrOpts.key] Builds the part of the cache key that identifies the arguments, in place of serialising them. Called with the same arguments as the function and must return a string.
+   * @param {string | object} [ttlOrOpts.codec] Overrides the client's codec for this function's results.
+   * @param {object | boolean} [ttlOrOpts.compression] Overrides the client's compression options for this function's results, or `false` to turn compression off.
+   * @param {function} [ttlOrOpts.shouldCache] Called with the result and an array of the arguments before it is cached. The result is returned without being cached unless it returns true.
+   * @param {function} [ttlOrOpts.ttlFor] Called with the result and an array of the arguments to get the TTL to cache it for. Returning undefined uses the TTL of the function, and zero or less skips caching it.
+   * @param {number} [ttlOrOpts.errorTTL] Caches errors from the function for this many seconds, so that calls fail fast while an upstream is down.
+   * @param {function} [ttlOrOpts.errorFilter] Called with an error from the function when there is an errorTTL. Only errors it returns true for are cached.
+   * @param {string} [ttlOrOpts.writeMode] Either `await`, to return results once they have been cached, or `background`, to return them straight away. Overrides the client's write mode.
+   * @param {string[] | function} [ttlOrOpts.tags] Tags for this function's results, so they can be invalidated with `invalidateTag`. Either an array or a function called with the result and an array of the arguments that returns one.
+   * @param {string} [suffix] A string appended to cache keys when using the positional form.
    */
-  wrap(func, ttl, suffix) {
-    const opts = getWrapOpts(func, ttl || this.defaultTTL, suffix || '');
-    if (this.stats) {
-      opts.statsClient = this.stats;
+  wrap(func, ttlOrOpts, suffix) {
+    const given = typeof ttlOrOpts === 'object' && ttlOrOpts !== null
+      ? ttlOrOpts
+      : { ttl: ttlOrOpts || undefined, suffix: suffix || undefined };
+
+    const cacheOpts = this.cacheOptsFor(getWrapOpts(func, given));
+    this.register(func, cacheOpts, false);
+    const wrapped = memoize(this.client, cacheOpts, func);
+
+    this.wrapped.set(wrapped, { func, cacheOpts, batch: false });
+    return wrapped;
+  }
+
+  /**
+   * Returns a wrapped version of a function that takes a list of ids and returns a list of results, caching the result for each id separately.
+   * The function is only called with the ids that don't have a fresh result, and results are returned in the order of the ids given.
+   * @param {function} func An asynchronous function called with an array of ids, and any other arguments, that resolves to an array of results in the same order.
+   * @param {object} [opts] The options accepted by `wrap`, apart from those for stale results and errors. A `key` function is called with each id and the other arguments.
+   */
+  wrapBatch(func, opts = {}) {
+    if (typeof func !== 'function') {
+      throw new Error(`Can only wrap a function, received [${func}]`);
+    }
+
+    const invalid = findInvalidOpt(opts, batchOptsSchema);
+    if (invalid) {
+      throw new Error(`Incorrect wrapBatch opts received, ${invalid}`);
+    }
+
+    const cacheOpts = this.cacheOptsFor(withoutUndefined(opts));
+    this.register(func, cacheOpts, true);
+    const wrapped = batch(this.client, cacheOpts, func);
+
+    this.wrapped.set(wrapped, { func, cacheOpts, batch: true });
+    return wrapped;
+  }
+
+  // Functions are registered by their name option or source, and suffix, rather than their identity, so that
+  // wrapping a function again, even on every call, shares its stats and replaces its options rather than adding
+  // another. Closures made by the same factory have the same source, so they share an entry too unless named apart.
+  register(func, cacheOpts, batch) {
+    const id = `${batch ? 'batch' : 'wrap'}:${createFunctionId(func, cacheOpts.suffix, cacheOpts)}`;
+    const registered = this.registered.get(id);
+
+    cacheOpts.functionStats = registered ? registered.cacheOpts.functionStats : new FunctionStats({ countBytes: this.countBytes });
+    this.registered.set(id, { func, cacheOpts, batch });
+  }
+
+  /**
+   * Lists the functions wrapped by this client, in the order they were first wrapped, along with how they cache their results.
+   * @returns {object[]} An object for each function of the format `{ name, suffix, batch, ttl, staleWhileRevalidate, staleIfError, earlyRefresh, writeMode }`.
+   */
+  listWrapped() {
+    return Array.from(this.registered.values(), ({ func, cacheOpts, batch }) => ({
+      name: functionName(func, cacheOpts.name),
+      suffix: cacheOpts.suffix,
+      batch,
+      ttl: cacheOpts.ttl,
+      staleWhileRevalidate: batch ? 0 : cacheOpts.staleWhileRevalidate,
+      staleIfError: batch ? 0 : cacheOpts.staleIfError,
+      earlyRefresh: batch ? 0 : cacheOpts.earlyRefresh,
+      writeMode: cacheOpts.writeMode
+    }));
+  }
+
+  /**
+   * Gets in-process stats for each function wrapped by this client, in the order they were first wrapped.
+   * @returns {object[]} An object for each function of the format `{ name, suffix, hits, misses, hitRatio, errors, cacheErrors, readLatency, writeLatency, inFlight, bytesWritten }`,
+   * where `readLatency` and `writeLatency` are of the format `{ mean, p95 }` in milliseconds.
+   */
+  getStats() {
+    return Array.from(this.registered.values(), ({ func, cacheOpts }) => ({
+      name: functionName(func, cacheOpts.name),
+      suffix: cacheOpts.suffix,
+      ...cacheOpts.functionStats.snapshot()
+    }));
+  }
+
+  /**
+   * Emits an event, and passes it to the `onEvent` hook. Errors thrown by listeners are ignored,
+   * so that watching the cache can't break the calls being watched.
+   * @param {string} type
+   * @param {object} details
+   */
+  emitEvent(type, details) {
+    const event = { type, ...details };
+
+    try {
+      if (this.onEvent) {
+        this.onEvent(event);
+      }
+      if (type !== 'error' || this.listenerCount('error') > 0) {
+        this.emit(type, event);
+      }
+    } catch (err) {
+      // Ignored, see above
+    }
+  }
+
+  createCircuitBreaker(opts) {
+    return new CircuitBreaker(opts === true ? {} : opts, (state) => {
+      if (this.stats) {
+        this.stats.increment(`ceych.circuit_${state.replace('-', '_')}`);
+      }
+    });
+  }
+
+  // Fills in the options a function was wrapped with from the client's
+  cacheOptsFor(wrapOpts) {
+    const opts = {
+      ttl: this.defaultTTL,
+      suffix: '',
+      staleWhileRevalidate: this.staleWhileRevalidate,
+      staleIfError: this.staleIfError,
+      earlyRefresh: this.earlyRefresh,
+      ttlJitter: this.ttlJitter,
+      codec: this.codec,
+      compression: this.compression,
+      writeMode: this.writeMode,
+      ...wrapOpts,
+      keySerializer: this.keySerializer,
+      segment: this.segment,
+      failOpen: this.failOpen,
+      countBytes: this.countBytes
+    };
+    if (this.metrics) {
+      opts.metrics = this.metrics;
+    }
+    if (this.tracer) {
+      opts.tracer = this.tracer;
+    }
+    if (this.l1) {
+      opts.l1 = this.l1;
+    }
+    if (this.onWriteError) {
+      opts.onWriteError = this.onWriteError;
     }
-    return memoize(this.cache, opts, func);
+    opts.emit = (type, details) => this.emitEvent(type, details);
+    opts.tagVersions = this.tagVersions;
+    if (this.generations) {
+      opts.generations = this.generations;
+    }
+    return opts;
+  }
+
+  // The unwrapped function and filled-in options for a function or options accepted by `invalidate`
+  unwrappedOpts(funcOrOpts, method) {
+    const { func, ...wrapOpts } = validateInvalidateOpts(funcOrOpts, method);
+    return { func, cacheOpts: this.cacheOptsFor(wrapOpts) };
+  }
+
+  // Reads the entry that `wrap` would for a call, without calling the function
+  async readEntry(method, funcOrOpts, args) {
+    const { func, cacheOpts } = this.unwrappedOpts(funcOrOpts, method);
+    const store = createStore(this.client, cacheOpts, func);
+    const reply = await store.read(await store.keyFor(args));
+
+    if (!reply) {
+      return { store, state: 'missing' };
+    }
+    return { store, item: reply.item, state: await store.inspect(reply.item) };
   }
 
   /**
-   * Invalidates the current cache entry for the given function and args combination. The function passed should be the unwrapped, initial function.
-   * @param {function | {func: function, suffix: string}} funcOrOpts Either a function or a set of options of the format `{ func: yourFunction, suffix: 'yourSuffix' }` if you wish to include a suffix.
+   * Gets the cached result of a call to a wrapped function, without calling it. A cached error is rethrown.
+   * @param {function | object} funcOrOpts Either a function or the same options accepted by `invalidate`.
+   * @param  {...any} args The args of the call.
+   * @returns {Promise<any>} The cached result, or undefined if there is no fresh result.
+   */
+  async get(funcOrOpts, ...args) {
+    const { store, item, state } = await this.readEntry('get', funcOrOpts, args);
+
+    if (state === 'legacy') {
+      return item;
+    }
+    if (state === 'error') {
+      throw envelope.toError(item);
+    }
+    return state === 'fresh' ? store.decode(item) : undefined;
+  }
+
+  /**
+   * Caches a result for a call to a wrapped function, as if the function had returned it.
+   * @param {function | object} funcOrOpts Either a function or the same options accepted by `invalidate`, including the `ttl` to cache the result for.
+   * @param {any} value The result to cache.
+   * @param  {...any} args The args of the call.
+   */
+  async set(funcOrOpts, value, ...args) {
+    const { func, cacheOpts } = this.unwrappedOpts(funcOrOpts, 'set');
+    // The result is cached by the time this resolves, whatever the write mode
+    const store = createStore(this.client, { ...cacheOpts, writeMode: 'await' }, func);
+    const cacheKey = await store.keyFor(args);
+
+    await store.write(cacheKey, value, cacheOpts.ttl, args);
+    // Other clients' L1s may hold the result this replaces
+    if (this.broadcast) {
+      await this.broadcast.publish({ type: 'invalidate', key: cacheKey });
+    }
+  }
+
+  /**
+   * Checks whether there is a fresh cached result, or error, for a call to a wrapped function.
+   * @param {function | object} funcOrOpts Either a function or the same options accepted by `invalidate`.
+   * @param  {...any} args The args of the call.
+   * @returns {Promise<boolean>}
+   */
+  async has(funcOrOpts, ...args) {
+    const { state } = await this.readEntry('has', funcOrOpts, args);
+    return ['legacy', 'fresh', 'error'].includes(state);
+  }
+
+  /**
+   * Gets how long the cached result of a call to a wrapped function has left before it expires.
+   * @param {function | object} funcOrOpts Either a function or the same options accepted by `invalidate`.
+   * @param  {...any} args The args of the call.
+   * @returns {Promise<number | null>} The remaining TTL in seconds, 0 if there is no fresh result, or null for results cached by earlier versions of ceych, whose TTL isn't recorded.
+   */
+  async ttl(funcOrOpts, ...args) {
+    const { item, state } = await this.readEntry('ttl', funcOrOpts, args);
+
+    if (state === 'legacy') {
+      return null;
+    }
+    if (state !== 'fresh' && state !== 'error') {
+      return 0;
+    }
+    return (item.storedAt + item.ttl - Date.now()) / 1000;
+  }
+
+  /**
+   * Calls a function for each of a list of argument sets and caches the results, skipping calls whose results are already fresh.
+   * @param {function | object} wrappedOrFunc A function returned by `wrap`, or the unwrapped function or options accepted by `invalidate`.
+   * @param {any[][]} argsList The args of each call to warm.
+   * @param {object} [opts]
+   * @param {number} [opts.concurrency] The most calls to make at once (default 10).
+   * @returns {Promise<object[]>} A report for each call, in order, of the format `{ args, key, status, error }`, where status is `warmed`, `skipped` or `failed`.
+   */
+  async warm(wrappedOrFunc, argsList, opts = {}) {
+    const { concurrency = 10 } = opts;
+
+    if (!Array.isArray(argsList) || !argsList.every(Array.isArray)) {
+      throw new Error('Incorrect warm opts received, argsList must be an array of arrays of arguments.');
+    }
+    if (!Number.isInteger(concurrency) || concurrency <= 0) {
+      throw new Error('Incorrect warm opts received, concurrency must be an integer greater than zero.');
+    }
+
+    const registered = this.wrapped.get(wrappedOrFunc);
+    if (registered?.batch) {
+      throw new Error('Incorrect warm opts received, functions returned by wrapBatch cannot be warmed. Call them with the ids to warm instead.');
+    }
+    const { func, cacheOpts } = registered || this.unwrappedOpts(wrappedOrFunc, 'warm');
+    // Writes are waited for, so that the report says whether each result was cached
+    const store = createStore(this.client, { ...cacheOpts, writeMode: 'await' }, func);
+
+    return mapWithConcurrency(argsList, concurrency, async (args) => {
+      let key;
+      try {
+        key = await store.keyFor(args);
+        const reply = await store.read(key);
+        if (reply && await store.inspect(reply.item) === 'fresh') {
+          return { args, key: key.id, status: 'skipped' };
+        }
+
+        const startTime = performance.now();
+        const tags = store.tagsForCall();
+        const results = await func(...args);
+        const ttl = store.ttlFor(results, args);
+        if (ttl > 0) {
+          await store.write(key, results, store.jitter(ttl), args, { delta: performance.now() - startTime, tags });
+        }
+        store.stats.increment('ceych.warmed');
+        return { args, key: key.id, status: 'warmed' };
+      } catch (err) {
+        store.stats.increment('ceych.warm_errors');
+        return { args, key: key?.id, status: 'failed', error: err };
+      }
+    });
+  }
+
+  /**
+   * Invalidates the current cache entry for the given function and args combination, in the L1 as well as the cache client. The function passed should be the unwrapped, initial function.
+   * When there is a broadcast, the invalidation is published so that other clients evict the entry from their L1s.
+   * @param {function | {func: function, suffix: string}} funcOrOpts Either a function or a set of options of the format `{ func: yourFunction, suffix: 'yourSuffix' }` if you wish to include a suffix. Any other options given to `wrap` are accepted too.
    * @param  {...any} args The args that you passed to the wrapped function call which initially stored the cache entry.
    */
   invalidate(funcOrOpts, ...args) {
     const opts = validateInvalidateOpts(funcOrOpts);
+    const keyOpts = {
+      ...opts,
+      keySerializer: this.keySerializer,
+      segment: this.segment
+    };
 
-    const cacheKey = createCacheKey(opts.func, args, opts.suffix);
+    if (this.stats) {
+      this.stats.increment('ceych.invalidate', { func: functionName(opts.func, opts.name), suffix: opts.suffix });
+    }
+    if (this.generations) {
+      return this.generations.current(opts.func, opts.suffix, keyOpts).then((generation) => {
+        return this.dropKey(opts, createCacheKey(opts.func, args, opts.suffix, { ...keyOpts, generation }));
+      });
+    }
+    return this.dropKey(opts, createCacheKey(opts.func, args, opts.suffix, keyOpts));
+  }
 
+  dropKey(opts, cacheKey) {
+    this.emitEvent('invalidate', { func: functionName(opts.func, opts.name), key: cacheKey.id, scope: 'key' });
+    if (this.l1) {
+      this.l1.delete(cacheKey);
+    }
+    // Published once the entry has been dropped, as other clients could otherwise read it back into their L1s
+    if (this.broadcast) {
+      return this.client.drop(cacheKey).then(() => this.broadcast.publish({ type: 'invalidate', key: cacheKey })).then(() => {});
+    }
+    return this.client.drop(cacheKey);
+  }
+
+  /**
+   * Invalidates every cache entry with the given tag, whichever function it came from.
+   * @param {string} tag A tag given to `wrap`.
+   */
+  async invalidateTag(tag) {
+    if (!isTag(tag)) {
+      throw new Error('Incorrect invalidateTag opts received, tag must be a non-empty string.');
+    }
+
+    await this.tagVersions.bump(tag);
+    if (this.stats) {
+      this.stats.increment('ceych.invalidate_tag', { tag });
+    }
+    this.emitEvent('invalidate', { tag, scope: 'tag' });
+  }
+
+  /**
+   * Invalidates every cache entry for the given function, whatever arguments it was called with.
+   * Requires the client to be created with `generations`.
+   * @param {function | {func: function, suffix: string}} funcOrOpts Either a function or the same options accepted by `invalidate`.
+   */
+  async invalidateAll(funcOrOpts) {
+    const opts = validateInvalidateOpts(funcOrOpts);
+    this.requireGenerations('invalidateAll');
+
+    await this.generations.invalidateFunction(opts.func, opts.suffix, opts);
+    if (this.stats) {
+      this.stats.increment('ceych.invalidate_all', { func: functionName(opts.func, opts.name), suffix: opts.suffix });
+    }
+    this.emitEvent('invalidate', { func: functionName(opts.func, opts.name), scope: 'function' });
+  }
+
+  /**
+   * Invalidates every cache entry written by this client, and empties the L1.
+   * Requires the client to be created with `generations`.
+   */
+  async clear() {
+    this.requireGenerations('clear');
+
+    await this.generations.invalidateClient();
+    if (this.l1) {
+      this.l1.clear();
+    }
     if (this.stats) {
-      this.stats.increment('ceych.invalidate');
+      this.stats.increment('ceych.clear');
+    }
+    this.emitEvent('invalidate', { scope: 'client' });
+  }
+
+  requireGenerations(method) {
+    if (!this.generations) {
+      throw new Error(`${method} requires the client to be created with generations enabled`);
     }
-    return this.cache.drop(cacheKey);
   }
 
   /**
@@ -0,0 +1,101 @@
+'use strict';
+
+class CircuitOpenError extends Error {
+  constructor() {
+    super('Circuit breaker is open');
+    this.name = 'CircuitOpenError';
+  }
+}
+
+/**
+ * Stops calls to the cache client after repeated failures. Once `resetTimeout` has passed, one call is
+ * let through to probe the cache client: the circuit closes again if it succeeds, and stays open if it fails.
+ */
+class CircuitBreaker {
+  /**
+   * @param {object} [opts]
+   * @param {number} [opts.threshold] How many failures in a row open the circuit (default 5).
+   * @param {number} [opts.resetTimeout] How long, in milliseconds, the circuit stays open before probing (default 30000).
+   * @param {function} [onChange] Called with the new state whenever it changes.
+   */
+  constructor(opts = {}, onChange = () => {}) {
+    this.threshold = opts.threshold || 5;
+    this.resetTimeout = opts.resetTimeout || 30000;
+    this.onChange = onChange;
+    this.failures = 0;
+    this.openedAt = null;
+    this.probeStartedAt = null;
+  }
+
+  static isOptions(opts) {
+    if (opts === true) {
+      return true;
+    }
+    if (opts === null || typeof opts !== 'object') {
+      return false;
+    }
+
+    return ['threshold', 'resetTimeout'].every((name) => {
+      return opts[name] === undefined || (typeof opts[name] === 'number' && opts[name] > 0);
+    });
+  }
+
+  /**
+   * @returns {string} `closed` while calls are made, `open` while they are stopped, or `half-open` while probing.
+   */
+  get state() {
+    if (this.openedAt === null) {
+      return 'closed';
+    }
+    return this.probeStartedAt === null ? 'open' : 'half-open';
+  }
+
+  /**
+   * Checks whether a call can be made, starting a probe when the circuit has been open for long enough.
+   * A probe that hasn't settled within `resetTimeout` is replaced by another.
+   * @returns {boolean}
+   */
+  allowRequest() {
+    const now = Date.now();
+
+    if (this.openedAt === null) {
+      return true;
+    }
+    if (now - (this.probeStartedAt ?? this.openedAt) < this.resetTimeout) {
+      return false;
+    }
+
+    const wasOpen = this.state === 'open';
+    this.probeStartedAt = now;
+    if (wasOpen) {
+      this.onChange(this.state);
+    }
+    return true;
+  }
+
+  success() {
+    const wasClosed = this.state === 'closed';
+
+    this.failures = 0;
+    this.openedAt = null;
+    this.probeStartedAt = null;
+    if (!wasClosed) {
+      this.onChange(this.state);
+    }
+  }
+
+  failure() {
+    this.failures++;
+
+    if (this.state === 'half-open' || (this.state === 'closed' && this.failures >= this.threshold)) {
+      this.openedAt = Date.now();
+      this.probeStartedAt = null;
+      this.onChange(this.state);
+    }
+  }
+}
+
+module.exports = {
+  CircuitBreaker,
+  CircuitOpenError
+};
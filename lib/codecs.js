@@ -0,0 +1,174 @@
+'use strict';
+
+// Codecs turn results into something that can be stored by any cache engine and back again.
+// The id of the codec used is stored with each entry so that an entry written with one codec
+// is never decoded with another.
+
+const json = {
+  id: 'json',
+  encode: (value) => value,
+  decode: (value) => value
+};
+
+// Tags values that JSON can't represent. Plain objects that happen to have this property
+// are tagged too, so that they aren't mistaken for an encoded value when decoded.
+const TAG = '$ceych';
+
+function tagged(type, value) {
+  return { [TAG]: type, value };
+}
+
+function encodeNumber(number) {
+  if (Number.isFinite(number) && !Object.is(number, -0)) {
+    return number;
+  }
+  return tagged('number', String(Object.is(number, -0) ? '-0' : number));
+}
+
+function encodeStructured(value, ancestors) {
+  switch (typeof value) {
+    case 'undefined':
+      return tagged('undefined');
+    case 'number':
+      return encodeNumber(value);
+    case 'bigint':
+      return tagged('bigint', value.toString());
+    case 'function':
+    case 'symbol':
+      throw new Error(`Cannot encode a ${typeof value}`);
+    case 'string':
+    case 'boolean':
+      return value;
+  }
+
+  if (value === null) {
+    return null;
+  }
+
+  if (ancestors.has(value)) {
+    throw new Error('Cannot encode a circular reference');
+  }
+
+  ancestors.add(value);
+  try {
+    return encodeObject(value, ancestors);
+  } finally {
+    ancestors.delete(value);
+  }
+}
+
+function encodeObject(value, ancestors) {
+  const encode = (item) => encodeStructured(item, ancestors);
+
+  if (Array.isArray(value)) {
+    return value.map(encode);
+  }
+  if (Buffer.isBuffer(value)) {
+    return tagged('Buffer', value.toString('base64'));
+  }
+  if (value instanceof Date) {
+    return tagged('Date', isNaN(value.getTime()) ? null : value.toISOString());
+  }
+  if (value instanceof RegExp) {
+    return tagged('RegExp', [value.source, value.flags]);
+  }
+  if (value instanceof Map) {
+    return tagged('Map', Array.from(value, ([key, item]) => [encode(key), encode(item)]));
+  }
+  if (value instanceof Set) {
+    return tagged('Set', Array.from(value, encode));
+  }
+  if (value instanceof Error) {
+    return tagged('Error', { name: value.name, message: value.message, stack: value.stack });
+  }
+
+  const encoded = {};
+  for (const key of Object.keys(value)) {
+    encoded[key] = encode(value[key]);
+  }
+  return Object.prototype.hasOwnProperty.call(encoded, TAG) ? tagged('Object', encoded) : encoded;
+}
+
+const decoders = {
+  undefined: () => undefined,
+  number: (value) => (value === '-0' ? -0 : Number(value)),
+  bigint: (value) => BigInt(value),
+  Buffer: (value) => Buffer.from(value, 'base64'),
+  Date: (value) => new Date(value === null ? NaN : value),
+  RegExp: ([source, flags]) => new RegExp(source, flags),
+  Map: (entries) => new Map(entries.map(([key, item]) => [decodeStructured(key), decodeStructured(item)])),
+  Set: (members) => new Set(members.map(decodeStructured)),
+  Error: ({ name, message, stack }) => Object.assign(new Error(message), { name, stack }),
+  Object: (value) => decodePlainObject(value)
+};
+
+function decodePlainObject(value) {
+  const decoded = {};
+  for (const key of Object.keys(value)) {
+    decoded[key] = decodeStructured(value[key]);
+  }
+  return decoded;
+}
+
+function decodeStructured(value) {
+  if (Array.isArray(value)) {
+    return value.map(decodeStructured);
+  }
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (Object.prototype.hasOwnProperty.call(value, TAG)) {
+    const decoder = decoders[value[TAG]];
+    if (!decoder) {
+      throw new Error(`Cannot decode a value of unknown type [${value[TAG]}]`);
+    }
+    return decoder(value.value);
+  }
+  return decodePlainObject(value);
+}
+
+// Keeps the types that the structured clone algorithm does - Date, Map, Set, Buffer, BigInt,
+// RegExp, Error, undefined and non-finite numbers - by encoding them as tagged JSON.
+// As with structured clone, class instances become plain objects.
+const structured = {
+  id: 'structured',
+  encode: (value) => encodeStructured(value, new Set()),
+  decode: decodeStructured
+};
+
+const builtIn = {
+  json,
+  structured
+};
+
+function isCodec(codec) {
+  if (typeof codec === 'string') {
+    return builtIn.hasOwnProperty(codec);  // eslint-disable-line no-prototype-builtins
+  }
+  // Entries record the id of their codec, so without one entries written by different codecs couldn't be told apart
+  return codec !== null && typeof codec === 'object' && typeof codec.id === 'string' && codec.id.length > 0 &&
+    typeof codec.encode === 'function' && typeof codec.decode === 'function';
+}
+
+/**
+ * Finds the codec for a name or user-supplied codec object.
+ * @param {string | {id: string, encode: function, decode: function}} [codec] The name of a built-in codec or an object with an `id` and `encode` and `decode` functions.
+ * @returns {{id: string, encode: function, decode: function}}
+ */
+function resolve(codec = 'json') {
+  if (typeof codec === 'string') {
+    return builtIn[codec];
+  }
+  return {
+    id: codec.id,
+    encode: codec.encode,
+    decode: codec.decode
+  };
+}
+
+module.exports = {
+  json,
+  structured,
+  isCodec,
+  resolve
+};
@@ -0,0 +1,61 @@
+'use strict';
+
+const zlib = require('zlib');
+const { promisify } = require('util');
+
+const algorithms = {
+  gzip: {
+    compress: promisify(zlib.gzip),
+    decompress: promisify(zlib.gunzip)
+  },
+  brotli: {
+    compress: promisify(zlib.brotliCompress),
+    decompress: promisify(zlib.brotliDecompress)
+  }
+};
+
+const DEFAULT_THRESHOLD = 1024;
+
+function isCompressionOpts(opts) {
+  if (opts === null || typeof opts !== 'object') {
+    return false;
+  }
+
+  const { threshold = DEFAULT_THRESHOLD, algorithm = 'gzip' } = opts;
+  return typeof threshold === 'number' && threshold >= 0 && algorithms.hasOwnProperty(algorithm);  // eslint-disable-line no-prototype-builtins
+}
+
+/**
+ * Compresses an encoded value if its JSON is at least as large as the threshold.
+ * @param {any} value A value that can be serialised to JSON.
+ * @param {{threshold: number, algorithm: string}} opts The size in bytes at which to compress (default 1024), and either `gzip` or `brotli` (default gzip).
+ * @returns {Promise<object | null>} The compressed value as a base64 string along with its sizes before and after, or null if it was too small to compress.
+ */
+async function compress(value, opts) {
+  const { threshold = DEFAULT_THRESHOLD, algorithm = 'gzip' } = opts;
+  const serialised = JSON.stringify(value);
+
+  if (serialised === undefined || Buffer.byteLength(serialised) < threshold) {
+    return null;
+  }
+
+  const json = Buffer.from(serialised);
+  const compressed = await algorithms[algorithm].compress(json);
+  return {
+    data: compressed.toString('base64'),
+    algorithm,
+    originalBytes: json.length,
+    compressedBytes: compressed.length
+  };
+}
+
+async function decompress(data, algorithm) {
+  const json = await algorithms[algorithm].decompress(Buffer.from(data, 'base64'));
+  return JSON.parse(json.toString());
+}
+
+module.exports = {
+  isCompressionOpts,
+  compress,
+  decompress
+};
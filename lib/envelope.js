@@ -0,0 +1,158 @@
+'use strict';
+
+// Marks items written by this version of ceych. Anything in the cache without it was written
+// before results were wrapped, and is returned as-is with its lifetime left to the cache client.
+const VERSION = 1;
+
+/**
+ * Wraps a value for storage with the metadata needed to read it back.
+ * @param {any} value The encoded value.
+ * @param {number} ttl The TTL in seconds.
+ * @param {object} [meta] How the value was encoded.
+ * @param {string} [meta.codec] The id of the codec that encoded the value (default json).
+ * @param {string} [meta.compressed] The algorithm the value was compressed with, if it was.
+ * @param {object} [meta.tags] The version of each of the entry's tags when it was written, by tag.
+ * @param {boolean} [meta.error] Whether the value is an error returned by `serialiseError`, rather than a result.
+ * @param {number} [meta.delta] How long, in milliseconds, the value took to compute.
+ * @returns {object}
+ */
+function create(value, ttl, meta = {}) {
+  const { codec = 'json', compressed, tags, error, delta } = meta;
+  const entry = {
+    ceych: VERSION,
+    value,
+    codec,
+    storedAt: Date.now(),
+    ttl: ttl * 1000
+  };
+
+  if (compressed) {
+    entry.compressed = compressed;
+  }
+  if (tags && Object.keys(tags).length) {
+    entry.tags = tags;
+  }
+  if (error) {
+    entry.error = true;
+  }
+  if (delta !== undefined) {
+    entry.delta = Math.round(delta);
+  }
+  return entry;
+}
+
+/**
+ * Converts an error into something that can be stored by any cache engine. Its name and message are kept
+ * along with its own properties, such as a status code, but not its stack. Properties that can't be
+ * serialised, such as the circular request and response of an HTTP client's error, are left out.
+ * @param {any} err What the wrapped function rejected with.
+ * @returns {object}
+ */
+function serialiseError(err) {
+  if (!(err instanceof Error)) {
+    return { name: 'Error', message: String(err), props: {} };
+  }
+
+  const props = {};
+  for (const [name, value] of Object.entries(err)) {
+    try {
+      const json = JSON.stringify(value);
+      if (json !== undefined) {
+        props[name] = JSON.parse(json);
+      }
+    } catch (serialiseErr) {
+      // Left out, as it can't be stored
+    }
+  }
+  return { name: err.name, message: err.message, props };
+}
+
+/**
+ * Rebuilds an error stored by `serialiseError`.
+ * @param {object} envelope An envelope of an error.
+ * @returns {Error}
+ */
+function toError(envelope) {
+  const { name, message, props } = envelope.value;
+  const err = Object.assign(new Error(message), props);
+
+  err.name = name;
+  return err;
+}
+
+function isEnvelope(item) {
+  return item !== null && typeof item === 'object' && item.ceych === VERSION;
+}
+
+/**
+ * Works out whether a cached envelope can still be used.
+ * @param {object} envelope An envelope previously returned by `create`.
+ * @param {number} staleWhileRevalidate How long, in seconds, an entry can be served after its TTL while it is refreshed.
+ * @returns {string} One of `fresh`, `stale` or `expired`.
+ */
+function freshness(envelope, staleWhileRevalidate) {
+  const age = Date.now() - envelope.storedAt;
+
+  if (age < envelope.ttl) {
+    return 'fresh';
+  }
+  if (age < envelope.ttl + staleWhileRevalidate * 1000) {
+    return 'stale';
+  }
+  return 'expired';
+}
+
+/**
+ * Decides whether to refresh a fresh entry before it expires, using probabilistic early expiration (XFetch).
+ * Entries that took longer to compute, and those closer to expiring, are more likely to be refreshed,
+ * which spreads out the refreshes of entries that were written together.
+ * @param {object} envelope An envelope previously returned by `create`.
+ * @param {number} beta How eagerly to refresh. 1 is the usual value, higher refreshes earlier and 0 never does.
+ * @returns {boolean}
+ */
+function refreshesEarly(envelope, beta) {
+  if (!beta || !envelope.delta) {
+    return false;
+  }
+  return Date.now() - envelope.delta * beta * Math.log(Math.random()) >= envelope.storedAt + envelope.ttl;
+}
+
+/**
+ * Works out whether a cached envelope can be returned in place of a failed call.
+ * @param {object} envelope An envelope previously returned by `create`.
+ * @param {number} staleIfError How long, in seconds, an entry can be served after its TTL when the function fails.
+ * @returns {boolean}
+ */
+function usableOnError(envelope, staleIfError) {
+  return Date.now() - envelope.storedAt < envelope.ttl + staleIfError * 1000;
+}
+
+/**
+ * Measures the value of an envelope, as a string or as the JSON that cache clients store it as.
+ * @param {object} envelope An envelope previously returned by `create`.
+ * @returns {number | undefined} The size in bytes, or undefined when it can't be measured.
+ */
+function size(envelope) {
+  const value = envelope?.value;
+
+  if (typeof value === 'string') {
+    return Buffer.byteLength(value);
+  }
+  try {
+    const json = JSON.stringify(value);
+    return json === undefined ? undefined : Buffer.byteLength(json);
+  } catch (err) {
+    return undefined;
+  }
+}
+
+module.exports = {
+  create,
+  serialiseError,
+  toError,
+  isEnvelope,
+  freshness,
+  refreshesEarly,
+  usableOnError,
+  size
+};
@@ -0,0 +1,108 @@
+'use strict';
+
+// Latencies are summarised over the most recent samples, so that the summary follows changes in the cache
+const MAX_SAMPLES = 1000;
+
+class Latency {
+  constructor() {
+    this.samples = [];
+    this.next = 0;
+  }
+
+  record(value) {
+    if (this.samples.length < MAX_SAMPLES) {
+      this.samples.push(value);
+    } else {
+      this.samples[this.next] = value;
+    }
+    this.next = (this.next + 1) % MAX_SAMPLES;
+  }
+
+  summary() {
+    if (!this.samples.length) {
+      return { mean: null, p95: null };
+    }
+
+    const sorted = [...this.samples].sort((a, b) => a - b);
+    return {
+      mean: sorted.reduce((sum, value) => sum + value, 0) / sorted.length,
+      p95: sorted[Math.ceil(sorted.length * 0.95) - 1]
+    };
+  }
+}
+
+/**
+ * Keeps in-process stats for a single wrapped function. It takes the same metrics as a stats client,
+ * along with how many calls to the function are in flight and how many bytes of results have been written to the cache.
+ */
+class FunctionStats {
+  /**
+   * @param {object} [opts]
+   * @param {boolean} [opts.countBytes] Whether the bytes of results written are counted. They are null otherwise.
+   */
+  constructor(opts = {}) {
+    this.hits = 0;
+    this.misses = 0;
+    this.errors = 0;
+    this.cacheErrors = 0;
+    this.inFlight = 0;
+    this.bytesWritten = opts.countBytes ? 0 : null;
+    this.readLatency = new Latency();
+    this.writeLatency = new Latency();
+  }
+
+  increment(name, labels = {}) {
+    if (name === 'ceych.hits') {
+      this.hits++;
+    } else if (name === 'ceych.misses') {
+      this.misses++;
+    } else if (name === 'ceych.errors') {
+      this.cacheErrors++;
+    } else if (name === 'ceych.calls' && labels.outcome === 'error') {
+      this.errors++;
+    }
+  }
+
+  timing(name, value) {
+    if (name === 'ceych.read_time') {
+      this.readLatency.record(value);
+    } else if (name === 'ceych.write_time') {
+      this.writeLatency.record(value);
+    }
+  }
+
+  started() {
+    this.inFlight++;
+  }
+
+  settled() {
+    this.inFlight--;
+  }
+
+  written(bytes) {
+    if (this.bytesWritten !== null && bytes !== undefined) {
+      this.bytesWritten += bytes;
+    }
+  }
+
+  /**
+   * @returns {object} The stats so far. Latencies are in milliseconds, and are null until there has been a read or write.
+   */
+  snapshot() {
+    const lookups = this.hits + this.misses;
+
+    return {
+      hits: this.hits,
+      misses: this.misses,
+      hitRatio: lookups ? this.hits / lookups : null,
+      errors: this.errors,
+      cacheErrors: this.cacheErrors,
+      readLatency: this.readLatency.summary(),
+      writeLatency: this.writeLatency.summary(),
+      inFlight: this.inFlight,
+      bytesWritten: this.bytesWritten
+    };
+  }
+}
+
+module.exports = FunctionStats;
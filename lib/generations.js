@@ -0,0 +1,68 @@
+'use strict';
+
+const Versions = require('./versions');
+const { createGenerationKey, createFunctionId } = require('./utils');
+
+const CLIENT = 'client';
+const DEFAULT_TTL = 30 * 24 * 60 * 60;
+
+function functionScope(func, suffix, keyOpts) {
+  return `fn:${createFunctionId(func, suffix, keyOpts)}`;
+}
+
+/**
+ * Keeps a generation for the whole client and for each wrapped function, both of which are
+ * mixed into cache keys. Starting a new generation moves every key in its scope, so all of a
+ * function's entries, or all of the client's, can be invalidated without listing keys.
+ */
+class Generations {
+  /**
+   * @param {object} cacheClient The Catbox client that generations are stored in.
+   * @param {object | boolean} [opts]
+   * @param {number} [opts.ttl] How long, in seconds, to keep each generation (default 30 days). A generation that expires starts a new one, so should outlive the entries written in it.
+   * @param {string} [segment] The segment of the entries that the generations apply to.
+   * @param {object} [local] The client's L1 and broadcast, as taken by `Versions`.
+   */
+  constructor(cacheClient, opts = {}, segment, local) {
+    this.versions = new Versions(cacheClient, opts.ttl || DEFAULT_TTL, (scope) => createGenerationKey(scope, segment), local);
+  }
+
+  static isOptions(opts) {
+    if (opts === true) {
+      return true;
+    }
+    if (opts === null || typeof opts !== 'object') {
+      return false;
+    }
+    return opts.ttl === undefined || (typeof opts.ttl === 'number' && opts.ttl > 0);
+  }
+
+  /**
+   * Gets the generation to build a function's keys with, combining the client's and the function's.
+   * @param {function} func The unwrapped function.
+   * @param {string} suffix
+   * @param {object} keyOpts The options the function was wrapped with.
+   * @returns {Promise<string>}
+   */
+  async current(func, suffix, keyOpts) {
+    const scope = functionScope(func, suffix, keyOpts);
+    const versions = await this.versions.ensure([CLIENT, scope]);
+    return `${versions[CLIENT]}.${versions[scope]}`;
+  }
+
+  /**
+   * Starts a new generation for a function, invalidating all of its entries.
+   */
+  async invalidateFunction(func, suffix, keyOpts) {
+    await this.versions.bump(functionScope(func, suffix, keyOpts));
+  }
+
+  /**
+   * Starts a new generation for the client, invalidating every entry.
+   */
+  async invalidateClient() {
+    await this.versions.bump(CLIENT);
+  }
+}
+
+module.exports = Generations;
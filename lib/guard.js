@@ -0,0 +1,86 @@
+'use strict';
+
+const { CircuitOpenError } = require('./circuit-breaker');
+
+// Errors that came from the cache client, as opposed to from building keys or the wrapped function
+const cacheErrors = new WeakSet();
+
+function isCacheError(err) {
+  return err !== null && typeof err === 'object' && cacheErrors.has(err);
+}
+
+function markAsCacheError(err) {
+  if (err !== null && typeof err === 'object') {
+    cacheErrors.add(err);
+  }
+  return err;
+}
+
+// Uses the same message as engines that time out themselves, so both are handled alike
+function withTimeout(promise, timeout) {
+  if (!timeout) {
+    return promise;
+  }
+
+  let timer;
+  const timedOut = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error('command timed out')), timeout);
+  });
+  return Promise.race([promise, timedOut]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Wraps a Catbox client so that reads and writes give up after a timeout, and are stopped by a circuit
+ * breaker after repeated failures. Every error from the wrapped client can be recognised with `isCacheError`.
+ * @param {object} cacheClient The Catbox client.
+ * @param {object} [opts]
+ * @param {number} [opts.readTimeout] How long, in milliseconds, to wait for `get` and `getMany`.
+ * @param {number} [opts.writeTimeout] How long, in milliseconds, to wait for `set` and `drop`.
+ * @param {CircuitBreaker} [opts.circuitBreaker]
+ * @param {object} [opts.statsClient]
+ * @returns {object} An object with the same interface as the cache client.
+ */
+function guard(cacheClient, opts = {}) {
+  const { readTimeout, writeTimeout, circuitBreaker, statsClient } = opts;
+
+  async function call(operation, timeout) {
+    if (circuitBreaker && !circuitBreaker.allowRequest()) {
+      if (statsClient) {
+        statsClient.increment('ceych.bypassed');
+      }
+      throw markAsCacheError(new CircuitOpenError());
+    }
+
+    try {
+      const result = await withTimeout(operation(), timeout);
+      if (circuitBreaker) {
+        circuitBreaker.success();
+      }
+      return result;
+    } catch (err) {
+      if (circuitBreaker) {
+        circuitBreaker.failure();
+      }
+      throw markAsCacheError(err);
+    }
+  }
+
+  const guarded = {
+    isReady: () => cacheClient.isReady(),
+    start: () => cacheClient.start(),
+    stop: () => cacheClient.stop(),
+    get: (key) => call(() => cacheClient.get(key), readTimeout),
+    set: (key, value, ttl) => call(() => cacheClient.set(key, value, ttl), writeTimeout),
+    drop: (key) => call(() => cacheClient.drop(key), writeTimeout)
+  };
+
+  if (typeof cacheClient.getMany === 'function') {
+    guarded.getMany = (keys) => call(() => cacheClient.getMany(keys), readTimeout);
+  }
+  return guarded;
+}
+
+module.exports = {
+  guard,
+  isCacheError
+};
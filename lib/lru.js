@@ -0,0 +1,112 @@
+'use strict';
+
+function keyString(key) {
+  return `${key.segment}\u0000${key.id}`;
+}
+
+/**
+ * A bounded, in-process cache that sits in front of the cache client. Entries are held as JSON,
+ * so that callers can't change what is cached by mutating a result, and so their size is known.
+ * The least recently used entries are evicted when either the count or the byte limit is reached.
+ */
+class LRU {
+  /**
+   * @param {object} [opts]
+   * @param {number} [opts.maxEntries] The most entries to hold (default 1000).
+   * @param {number} [opts.maxBytes] The most bytes of JSON to hold (default 50MB).
+   * @param {number} [opts.ttl] How long, in seconds, to hold each entry for (default 5).
+   */
+  constructor(opts = {}) {
+    this.maxEntries = opts.maxEntries || 1000;
+    this.maxBytes = opts.maxBytes || 50 * 1024 * 1024;
+    this.ttl = opts.ttl || 5;
+    this.bytes = 0;
+    this.entries = new Map();
+  }
+
+  static isOptions(opts) {
+    if (opts === null || typeof opts !== 'object') {
+      return false;
+    }
+
+    return ['maxEntries', 'maxBytes', 'ttl'].every((name) => {
+      return opts[name] === undefined || (typeof opts[name] === 'number' && opts[name] > 0);
+    });
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  get(key) {
+    const id = keyString(key);
+    const entry = this.entries.get(id);
+
+    if (!entry) {
+      return undefined;
+    }
+    if (entry.expiresAt <= Date.now()) {
+      this.remove(id);
+      return undefined;
+    }
+
+    // Re-inserting moves the entry to the most recently used end of the map
+    this.entries.delete(id);
+    this.entries.set(id, entry);
+    return JSON.parse(entry.json);
+  }
+
+  /**
+   * Holds a value for the L1 TTL, or for `ttl` milliseconds if that is shorter.
+   * @param {{segment: string, id: string}} key
+   * @param {any} value
+   * @param {number} [ttl]
+   */
+  set(key, value, ttl = Infinity) {
+    const id = keyString(key);
+    const json = JSON.stringify(value);
+    const size = Buffer.byteLength(json);
+
+    this.remove(id);
+    if (size > this.maxBytes) {
+      return;
+    }
+
+    this.entries.set(id, {
+      json,
+      size,
+      expiresAt: Date.now() + Math.min(this.ttl * 1000, ttl)
+    });
+    this.bytes += size;
+    this.evict();
+  }
+
+  delete(key) {
+    this.remove(keyString(key));
+  }
+
+  clear() {
+    this.entries.clear();
+    this.bytes = 0;
+  }
+
+  remove(id) {
+    const entry = this.entries.get(id);
+
+    if (entry) {
+      this.entries.delete(id);
+      this.bytes -= entry.size;
+    }
+  }
+
+  evict() {
+    for (const id of this.entries.keys()) {
+      if (this.entries.size <= this.maxEntries && this.bytes <= this.maxBytes) {
+        return;
+      }
+      this.remove(id);
+    }
+  }
+}
+
+module.exports = LRU;
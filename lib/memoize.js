@@ -1,67 +1,188 @@
 'use strict';
 
-const { createCacheKey } = require('./utils');
-
-// Stats client was originally optional, in practice this doesn't seem to be the case
-// This creates a noop stats client so we don't need to check if statsClient exists everytime we want to use it
-function noOpStatsClient() {
-  return {
-    increment: () => {},
-    timing: () => {},
-  };
-}
+const createStore = require('./store');
+const envelope = require('./envelope');
 
 module.exports = (cacheClient, cacheOpts, fn) => {
-  const stats = cacheOpts.statsClient || noOpStatsClient();
+  const store = createStore(cacheClient, cacheOpts, fn);
+  const { stats } = store;
+  // Calls to the wrapped function that have not settled yet, keyed by cache key id.
+  // Concurrent misses for the same key share one of these rather than each calling fn.
+  const inFlight = new Map();
 
-  async function setInCache(key, value, ttl) {
-    try {
-      const startTime = performance.now();
+  function isCacheableError(err) {
+    const { errorTTL, errorFilter } = cacheOpts;
+    return Boolean(errorTTL) && (!errorFilter || errorFilter(err));
+  }
 
-      await cacheClient.set(key, value, ttl * 1000);
-      stats.timing('ceych.write_time', performance.now() - startTime);
-      return value;
-    } catch (err) {
-      stats.increment('ceych.errors');
+  function countHit(tier) {
+    stats.increment('ceych.hits');
+    if (cacheOpts.l1) {
+      stats.increment(`ceych.${tier}_hits`);
+    }
+  }
 
-      if (err?.message?.toLowerCase() === 'command timed out') {
-        stats.increment('ceych.command_timed_out');
-        return value;
+  function callThrough(key, args, fallback, refreshing) {
+    const pending = inFlight.get(key.id);
+    if (pending) {
+      stats.increment('ceych.coalesced');
+      return pending;
+    }
+
+    const call = (async () => {
+      let results;
+      const startTime = performance.now();
+      const tags = store.tagsForCall();
+      try {
+        // fn runs with its span active, so that any spans it starts are children of the call
+        results = await store.trace('ceych.fn', {}, () => fn(...args));
+      } catch (err) {
+        const { staleIfError = 0 } = cacheOpts;
+        if (fallback && envelope.usableOnError(fallback, staleIfError)) {
+          stats.increment('ceych.stale_if_error');
+          return store.decode(fallback);
+        }
+        // A failed refresh leaves the stale entry in place rather than replacing it with the error
+        if (!refreshing && isCacheableError(err)) {
+          await store.writeError(key, err);
+        }
+        throw err;
       }
+      const ttl = store.ttlFor(results, args);
+      if (ttl === 0) {
+        stats.increment('ceych.skipped_writes');
+        return results;
+      }
+      return await store.write(key, results, store.jitter(ttl), args, { delta: performance.now() - startTime, tags });
+    })();
+    const { functionStats } = cacheOpts;
+    const settled = () => {
+      inFlight.delete(key.id);
+      if (functionStats) {
+        functionStats.settled();
+      }
+    };
 
-      throw err;
+    inFlight.set(key.id, call);
+    if (functionStats) {
+      functionStats.started();
     }
+    call.then(settled, settled);
+    return call;
   }
 
-  return async function () {
-    const { ttl, suffix } = cacheOpts;
-    const args = Array.from(arguments);
+  function refresh(key, args) {
+    if (inFlight.has(key.id)) {
+      return;
+    }
+
+    stats.increment('ceych.refreshes');
+    callThrough(key, args, undefined, true).catch(() => {
+      stats.increment('ceych.refresh_errors');
+    });
+  }
+
+  // Looks the call up in the cache, recording its key in `call.key`, and whether it was a hit, stale, a miss or bypassed the cache in `call.result`
+  async function cached(args, call) {
+    const { staleWhileRevalidate = 0, earlyRefresh = 0 } = cacheOpts;
 
     if (!cacheClient.isReady()) {
+      call.result = 'bypass';
+      store.emit('bypass', {});
       return fn(...args);
     }
 
-    const cacheKey = createCacheKey(fn, args, suffix);
-
+    let cacheKey;
+    let reply;
+    let state;
+    const startTime = performance.now();
     try {
-      const startTime = performance.now();
-      const reply = await cacheClient.get(cacheKey);
-      stats.timing('ceych.read_time', performance.now() - startTime);
-      if (reply) {
-        stats.increment('ceych.hits');
-        return reply.item;
+      cacheKey = await store.keyFor(args);
+      call.key = cacheKey.id;
+      reply = await store.read(cacheKey);
+      state = reply && await store.inspect(reply.item, staleWhileRevalidate);
+      if (reply && store.outdatedInL1(reply, state)) {
+        store.forget(cacheKey);
+        reply = await store.read(cacheKey);
+        state = reply && await store.inspect(reply.item, staleWhileRevalidate);
       }
     } catch (err) {
-      stats.increment('ceych.errors');
-
-      if (err?.message?.toLowerCase() === 'command timed out') {
-        stats.increment('ceych.command_timed_out');
+      if (store.bypasses(err, cacheKey)) {
+        call.result = 'bypass';
+        return fn(...args);
       }
       throw err;
     }
+    const duration = performance.now() - startTime;
+
+    let fallback;
+    if (reply) {
+      const entry = reply.item;
+
+      if (state === 'legacy') {
+        call.result = 'hit';
+        countHit(reply.tier);
+        store.emit('hit', { key: cacheKey.id, duration });
+        return entry;
+      }
+      if (state === 'mismatch') {
+        stats.increment('ceych.codec_mismatches');
+      }
+      if (state === 'invalidated') {
+        stats.increment('ceych.tag_misses');
+      }
+      if (state === 'error') {
+        call.result = 'hit';
+        stats.increment('ceych.error_hits');
+        store.emit('hit', { key: cacheKey.id, duration, ttl: entry.ttl / 1000, error: true });
+        throw envelope.toError(entry);
+      }
+      if (state === 'fresh') {
+        call.result = 'hit';
+        countHit(reply.tier);
+        store.emit('hit', { key: cacheKey.id, duration, ttl: entry.ttl / 1000 });
+        if (envelope.refreshesEarly(entry, earlyRefresh) && !inFlight.has(cacheKey.id)) {
+          stats.increment('ceych.early_refreshes');
+          refresh(cacheKey, args);
+        }
+        return store.decode(entry);
+      }
+      if (state === 'stale') {
+        call.result = 'stale';
+        stats.increment('ceych.stale_hits');
+        store.emit('stale', { key: cacheKey.id, duration, ttl: entry.ttl / 1000 });
+        refresh(cacheKey, args);
+        return store.decode(entry);
+      }
+      if (state === 'expired' && !entry.error) {
+        fallback = entry;
+      }
+    }
 
     stats.increment('ceych.misses');
-    const results = await fn(...args);
-    return await setInCache(cacheKey, results, ttl);
+    store.emit('miss', { key: cacheKey.id, duration });
+    return callThrough(cacheKey, args, fallback);
+  }
+
+  return async function () {
+    const args = Array.from(arguments);
+
+    return store.trace('ceych.call', {}, async (span) => {
+      const call = { result: 'miss' };
+
+      try {
+        const results = await cached(args, call);
+        stats.increment('ceych.calls', { result: call.result, outcome: 'success' });
+        return results;
+      } catch (err) {
+        stats.increment('ceych.calls', { result: call.result, outcome: 'error' });
+        throw err;
+      } finally {
+        span.setAttribute('ceych.result', call.result);
+        if (call.key) {
+          span.setAttribute('ceych.key', call.key);
+        }
+      }
+    });
   };
 };
@@ -0,0 +1,121 @@
+'use strict';
+
+/**
+ * Metrics adapters send ceych's counters and timings to a metrics backend. An adapter is any object with:
+ * - `increment(name, labels)` - counts one occurrence of `name`.
+ * - `timing(name, value, labels)` - records a value, usually in milliseconds, for `name`.
+ *
+ * Names are dotted, such as `ceych.misses`. Labels are an object of strings describing where the
+ * metric came from, such as `{ func: 'getProgramme', suffix: '' }`, which backends without labels ignore.
+ */
+
+/**
+ * Sends metrics to a node-statsd client under their global names, dropping the labels.
+ */
+class StatsDMetrics {
+  constructor(client) {
+    this.client = client;
+  }
+
+  increment(name) {
+    this.client.increment(name);
+  }
+
+  timing(name, value) {
+    this.client.timing(name, value);
+  }
+}
+
+/**
+ * Sends metrics to a DogStatsD client with the signatures of hot-shots, with the labels as tags
+ * of the format `label:value`.
+ */
+class DogStatsDMetrics {
+  constructor(client) {
+    this.client = client;
+  }
+
+  increment(name, labels) {
+    this.client.increment(name, 1, 1, toTags(labels));
+  }
+
+  timing(name, value, labels) {
+    this.client.timing(name, value, 1, toTags(labels));
+  }
+}
+
+// Labels without a value, such as an empty suffix, are left out
+function toTags(labels = {}) {
+  return Object.entries(labels)
+    .filter(([, value]) => value !== undefined && value !== '')
+    .map(([label, value]) => `${label}:${value}`);
+}
+
+// Stats client was originally optional, in practice this doesn't seem to be the case
+// This creates a noop stats client so we don't need to check if statsClient exists everytime we want to use it
+function noOpStatsClient() {
+  return {
+    increment: () => {},
+    timing: () => {},
+  };
+}
+
+function isMetrics(metrics) {
+  return metrics !== null && typeof metrics === 'object' &&
+    typeof metrics.increment === 'function' && typeof metrics.timing === 'function';
+}
+
+/**
+ * Gets the metrics adapter to use, given either an adapter as `metrics` or a node-statsd `statsClient`.
+ * @param {object} opts
+ * @returns {object | null}
+ */
+function resolve({ metrics, statsClient }) {
+  if (metrics) {
+    return metrics;
+  }
+  return statsClient ? new StatsDMetrics(statsClient) : null;
+}
+
+/**
+ * Creates a stats client whose metrics all carry the given labels, along with any passed for each one.
+ * @param {object | null} metrics A metrics adapter.
+ * @param {object} labels
+ * @returns {object} An object with `increment(name, labels)` and `timing(name, value, labels)` functions.
+ */
+function withLabels(metrics, labels) {
+  if (!metrics) {
+    return noOpStatsClient();
+  }
+
+  return {
+    increment: (name, extra) => metrics.increment(name, { ...labels, ...extra }),
+    timing: (name, value, extra) => metrics.timing(name, value, { ...labels, ...extra })
+  };
+}
+
+/**
+ * Creates a stats client that sends every metric to each of the stats clients given.
+ * @param {...object} statsClients Stats clients, or undefined for those that aren't in use.
+ * @returns {object}
+ */
+function combine(...statsClients) {
+  const clients = statsClients.filter(Boolean);
+
+  if (clients.length === 1) {
+    return clients[0];
+  }
+  return {
+    increment: (name, labels) => clients.forEach((client) => client.increment(name, labels)),
+    timing: (name, value, labels) => clients.forEach((client) => client.timing(name, value, labels))
+  };
+}
+
+module.exports = {
+  StatsDMetrics,
+  DogStatsDMetrics,
+  isMetrics,
+  resolve,
+  withLabels,
+  combine
+};
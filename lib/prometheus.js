@@ -0,0 +1,120 @@
+'use strict';
+
+// Timings are in milliseconds, apart from these
+const DEFAULT_BUCKETS = {
+  'ceych.compressed_bytes': [1024, 10240, 102400, 1048576, 10485760],
+  'ceych.compression_ratio': [0.1, 0.25, 0.5, 0.75, 1]
+};
+const DEFAULT_TIMING_BUCKETS = [1, 5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000];
+
+function metricName(name) {
+  return name.replace(/[^a-zA-Z0-9_:]/g, '_');
+}
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels)
+    .filter(([, value]) => value !== undefined)
+    .map(([label, value]) => `${metricName(label)}="${escapeLabelValue(value)}"`);
+
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * A metrics adapter that keeps counters and histograms in process, in the format Prometheus scrapes.
+ * Counters are named after the metric with a `_total` suffix, so `ceych.misses` becomes `ceych_misses_total`,
+ * and timings become histograms named after the metric, such as `ceych_read_time`.
+ */
+class PrometheusMetrics {
+  /**
+   * @param {object} [opts]
+   * @param {number[]} [opts.buckets] The upper bounds of the histogram buckets for timings, in milliseconds.
+   */
+  constructor(opts = {}) {
+    this.timingBuckets = opts.buckets || DEFAULT_TIMING_BUCKETS;
+    this.counters = new Map();
+    this.histograms = new Map();
+  }
+
+  get contentType() {
+    return 'text/plain; version=0.0.4; charset=utf-8';
+  }
+
+  increment(name, labels = {}) {
+    const series = this.series(this.counters, `${metricName(name)}_total`, labels, () => ({ value: 0 }));
+    series.value++;
+  }
+
+  timing(name, value, labels = {}) {
+    const buckets = DEFAULT_BUCKETS[name] || this.timingBuckets;
+    const series = this.series(this.histograms, metricName(name), labels, () => ({
+      buckets: buckets.map(() => 0),
+      sum: 0,
+      count: 0
+    }), { buckets });
+
+    buckets.forEach((bound, i) => {
+      if (value <= bound) {
+        series.buckets[i]++;
+      }
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  // Each metric holds a series for every combination of labels it has been recorded with
+  series(metrics, name, labels, create, meta = {}) {
+    if (!metrics.has(name)) {
+      metrics.set(name, { ...meta, series: new Map() });
+    }
+
+    const metric = metrics.get(name);
+    const id = formatLabels(labels);
+    if (!metric.series.has(id)) {
+      metric.series.set(id, { labels, ...create() });
+    }
+    return metric.series.get(id);
+  }
+
+  /**
+   * Renders every metric in the Prometheus text format, to be served to a scraper or dumped.
+   * @returns {string}
+   */
+  metrics() {
+    const lines = [];
+
+    for (const [name, metric] of this.counters) {
+      lines.push(`# TYPE ${name} counter`);
+      for (const [id, series] of metric.series) {
+        lines.push(`${name}${id} ${series.value}`);
+      }
+    }
+
+    for (const [name, metric] of this.histograms) {
+      lines.push(`# TYPE ${name} histogram`);
+      for (const [id, series] of metric.series) {
+        metric.buckets.forEach((bound, i) => {
+          lines.push(`${name}_bucket${formatLabels({ ...series.labels, le: bound })} ${series.buckets[i]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+        lines.push(`${name}_sum${id} ${series.sum}`);
+        lines.push(`${name}_count${id} ${series.count}`);
+      }
+    }
+
+    return lines.length ? `${lines.join('\n')}\n` : '';
+  }
+
+  /**
+   * Forgets every metric recorded so far.
+   */
+  reset() {
+    this.counters.clear();
+    this.histograms.clear();
+  }
+}
+
+module.exports = PrometheusMetrics;
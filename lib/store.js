@@ -0,0 +1,463 @@
+'use strict';
+
+const { createCacheKey, functionName } = require('./utils');
+const envelope = require('./envelope');
+const codecs = require('./codecs');
+const compression = require('./compression');
+const { CircuitOpenError } = require('./circuit-breaker');
+const { isCacheError } = require('./guard');
+const metrics = require('./metrics');
+const tracing = require('./tracing');
+
+/**
+ * Reads and writes the entries of one function, given the options it was wrapped with. Shared by the
+ * wrapped function and the client's methods for addressing entries directly, so both build the same
+ * keys and encode entries in the same way.
+ * @param {object} cacheClient The Catbox client.
+ * @param {object} cacheOpts The options the function was wrapped with, filled in from the client's.
+ * @param {function} fn The unwrapped function.
+ */
+module.exports = (cacheClient, cacheOpts, fn) => {
+  const codec = codecs.resolve(cacheOpts.codec);
+  const name = functionName(fn, cacheOpts.name);
+  // Every metric is labelled with the function it came from, and kept in the function's own stats when it has them
+  const stats = metrics.combine(
+    metrics.withLabels(metrics.resolve(cacheOpts), { func: name, suffix: cacheOpts.suffix }),
+    cacheOpts.functionStats
+  );
+
+  // Passes an event about this function to the client, when it was given a way to emit them
+  function emit(type, details) {
+    if (cacheOpts.emit) {
+      cacheOpts.emit(type, { func: name, ...details });
+    }
+  }
+
+  // Runs fn in a span for this function, when there is a tracer
+  function trace(spanName, attributes, fn) {
+    return tracing.inSpan(cacheOpts.tracer, spanName, { 'ceych.function': name, ...attributes }, fn);
+  }
+
+  async function encode(value, ttl, meta) {
+    const encoded = codec.encode(value);
+    const compressed = cacheOpts.compression && await compression.compress(encoded, cacheOpts.compression);
+
+    if (!compressed) {
+      return envelope.create(encoded, ttl, { ...meta, codec: codec.id });
+    }
+
+    stats.timing('ceych.compressed_bytes', compressed.compressedBytes);
+    stats.timing('ceych.compression_ratio', compressed.compressedBytes / compressed.originalBytes);
+    return envelope.create(compressed.data, ttl, { ...meta, codec: codec.id, compressed: compressed.algorithm });
+  }
+
+  /**
+   * Starts reading the versions of the function's tags as a call to it starts, so that a tag invalidated
+   * while the call runs invalidates its result too. Tags given by a function of the result can't be read
+   * until there is one, so the time is kept instead, and the result isn't written if any of them is
+   * replaced in the meantime.
+   * @returns {object | undefined} What to pass to `write` as `meta.tags` once the call has returned.
+   */
+  function tagsForCall() {
+    const { tags, tagVersions } = cacheOpts;
+
+    if (!tags || !tagVersions) {
+      return undefined;
+    }
+    if (typeof tags === 'function') {
+      return { since: Date.now() };
+    }
+
+    const versions = tags.length ? tagVersions.ensure(tags) : Promise.resolve(undefined);
+    // Failures are handled when the result is written, and ignored if it never is
+    versions.catch(() => {});
+    return { versions };
+  }
+
+  // Records the version of each of the result's tags, so that it can be invalidated with them. Resolves to
+  // null when one of them was replaced since the call started, as the result may predate the invalidation.
+  async function tagVersionsFor(value, args, call = {}) {
+    const { tags, tagVersions } = cacheOpts;
+
+    if (!tags || !tagVersions) {
+      return undefined;
+    }
+    if (call.versions) {
+      return call.versions;
+    }
+
+    const names = typeof tags === 'function' ? tags(value, args) : tags;
+    if (!Array.isArray(names) || !names.every((name) => typeof name === 'string')) {
+      throw new Error(`tags function must return an array of strings, received [${names}]`);
+    }
+    return names.length ? tagVersions.ensure(names, call.since) : undefined;
+  }
+
+  async function tagsAreCurrent(entry, current) {
+    if (!entry.tags || !cacheOpts.tagVersions) {
+      return true;
+    }
+
+    const tags = Object.keys(entry.tags);
+    const versions = current || await cacheOpts.tagVersions.current(tags);
+    return tags.every((tag) => versions[tag] === entry.tags[tag]);
+  }
+
+  /**
+   * Reads the current version of every tag of several items at once, so that each can be inspected without reading them again.
+   * @param {any[]} items Items read from the cache.
+   * @returns {Promise<object | undefined>} The version of each tag, to pass to `inspect`.
+   */
+  async function currentTags(items) {
+    if (!cacheOpts.tagVersions) {
+      return undefined;
+    }
+
+    const tags = new Set(items.filter((item) => envelope.isEnvelope(item) && item.tags).flatMap((item) => Object.keys(item.tags)));
+    return tags.size ? cacheOpts.tagVersions.current([...tags]) : {};
+  }
+
+  /**
+   * Builds the key of each of several calls. The current generation is mixed into them when generations are
+   * enabled, so that invalidateAll and clear move every key at once, and is only read once for all of them.
+   * @param {any[][]} argsList The args of each call.
+   * @returns {Promise<object[]>}
+   */
+  async function keysFor(argsList) {
+    const { suffix, generations } = cacheOpts;
+
+    if (!generations) {
+      return argsList.map((args) => createCacheKey(fn, args, suffix, cacheOpts));
+    }
+
+    const generation = await generations.current(fn, suffix, cacheOpts);
+    return argsList.map((args) => createCacheKey(fn, args, suffix, { ...cacheOpts, generation }));
+  }
+
+  async function keyFor(args) {
+    const [key] = await keysFor([args]);
+    return key;
+  }
+
+  async function decode(entry) {
+    const encoded = entry.compressed ? await compression.decompress(entry.value, entry.compressed) : entry.value;
+    return codec.decode(encoded);
+  }
+
+  /**
+   * Works out how a cached item can be used. Items written before results were wrapped in envelopes are
+   * `legacy` and used as they are, entries that can't be decoded or whose tags have been invalidated are
+   * `mismatch` and `invalidated`, and a fresh cached error is `error`. Anything else is `fresh`, `stale` or `expired`.
+   * @param {any} item An item read from the cache.
+   * @param {number} [staleWhileRevalidate]
+   * @param {object} [current] The current version of the item's tags, from `currentTags`, if they have already been read.
+   * @returns {Promise<string>}
+   */
+  async function inspect(item, staleWhileRevalidate = 0, current) {
+    if (!envelope.isEnvelope(item)) {
+      return 'legacy';
+    }
+    // An entry written with a different codec can't be decoded safely, so is treated as a miss
+    if (item.codec !== codec.id) {
+      return 'mismatch';
+    }
+    if (!await tagsAreCurrent(item, current)) {
+      return 'invalidated';
+    }
+    if (item.error) {
+      return envelope.freshness(item, 0) === 'fresh' ? 'error' : 'expired';
+    }
+    return envelope.freshness(item, staleWhileRevalidate);
+  }
+
+  // Decides whether a result should be written and for how long, returning a TTL of zero to skip the write
+  function ttlFor(results, args) {
+    const { shouldCache, ttlFor } = cacheOpts;
+
+    if (shouldCache && !shouldCache(results, args)) {
+      return 0;
+    }
+    if (!ttlFor) {
+      return cacheOpts.ttl;
+    }
+
+    const ttl = ttlFor(results, args);
+    if (ttl === undefined) {
+      return cacheOpts.ttl;
+    }
+    if (typeof ttl !== 'number' || Number.isNaN(ttl)) {
+      throw new Error(`ttlFor function must return a number, received [${ttl}]`);
+    }
+    return Math.max(ttl, 0);
+  }
+
+  // Shortens the TTL by a random fraction of up to ttlJitter, so entries written together don't expire together
+  function jitter(ttl) {
+    const { ttlJitter = 0 } = cacheOpts;
+
+    if (!ttlJitter) {
+      return ttl;
+    }
+    return Math.round(ttl * (1 - Math.random() * ttlJitter) * 1000) / 1000;
+  }
+
+  function save(key, value, ttl, args, meta) {
+    return trace('ceych.set', { 'ceych.key': key.id, 'ceych.ttl': ttl }, async (span) => {
+      const { staleWhileRevalidate = 0, staleIfError = 0 } = cacheOpts;
+      // The entry is kept beyond its TTL for as long as it may still be served stale
+      const expiresIn = ttl + Math.max(staleWhileRevalidate, staleIfError);
+      const startTime = performance.now();
+      const tags = await tagVersionsFor(value, args, meta.tags);
+      if (tags === null) {
+        stats.increment('ceych.tag_conflicts');
+        return;
+      }
+
+      const entry = await encode(value, ttl, { tags, delta: meta.delta });
+
+      const size = measure(span, entry);
+      await cacheClient.set(key, entry, expiresIn * 1000);
+      const duration = performance.now() - startTime;
+      stats.timing('ceych.write_time', duration);
+      emit('set', { key: key.id, duration, ttl });
+      if (cacheOpts.functionStats) {
+        cacheOpts.functionStats.written(size);
+      }
+      if (cacheOpts.l1) {
+        cacheOpts.l1.set(key, entry, expiresIn * 1000);
+      }
+    });
+  }
+
+  function saveError(key, err) {
+    const { errorTTL } = cacheOpts;
+
+    return trace('ceych.set', { 'ceych.key': key.id, 'ceych.ttl': errorTTL, 'ceych.error': true }, async (span) => {
+      const entry = envelope.create(envelope.serialiseError(err), errorTTL, { codec: codec.id, error: true });
+      const startTime = performance.now();
+
+      const size = measure(span, entry);
+      await cacheClient.set(key, entry, errorTTL * 1000);
+      emit('set', { key: key.id, duration: performance.now() - startTime, ttl: errorTTL, error: true });
+      if (cacheOpts.functionStats) {
+        cacheOpts.functionStats.written(size);
+      }
+      if (cacheOpts.l1) {
+        cacheOpts.l1.set(key, entry, errorTTL * 1000);
+      }
+    });
+  }
+
+  // Measuring an entry costs a serialisation, so is only done when tracing or when the client counts bytes
+  function measure(span, entry) {
+    if (!cacheOpts.tracer && !cacheOpts.countBytes) {
+      return undefined;
+    }
+
+    const size = envelope.size(entry);
+    if (size !== undefined) {
+      span.setAttribute('ceych.payload_size', size);
+    }
+    return size;
+  }
+
+  // In background mode writes aren't waited for, so their errors can only be counted and passed to the
+  // hook. Anything thrown by the hook is ignored rather than left as an unhandled rejection.
+  function inBackground(key, saving) {
+    saving.catch((err) => {
+      countError(err, key, 'write');
+      if (isTimeout(err)) {
+        stats.increment('ceych.command_timed_out');
+      }
+      if (cacheOpts.onWriteError) {
+        cacheOpts.onWriteError(err, key);
+      }
+    }).catch(() => {});
+  }
+
+  /**
+   * Caches a result, resolving to it once it has been written. In `background` write mode the result
+   * is resolved straight away instead, and the write carries on behind it.
+   * @param {object} [meta]
+   * @param {number} [meta.delta] How long, in milliseconds, the result took to compute.
+   * @param {object} [meta.tags] What `tagsForCall` returned when the call that computed the result started.
+   */
+  async function write(key, value, ttl, args, meta = {}) {
+    if (cacheOpts.writeMode === 'background') {
+      inBackground(key, save(key, value, ttl, args, meta));
+      return value;
+    }
+
+    try {
+      await save(key, value, ttl, args, meta);
+      return value;
+    } catch (err) {
+      countError(err, key, 'write');
+
+      if (isTimeout(err)) {
+        stats.increment('ceych.command_timed_out');
+        return value;
+      }
+      if (bypasses(err, key)) {
+        return value;
+      }
+
+      throw err;
+    }
+  }
+
+  // Errors are kept for their own TTL, and never served stale
+  async function writeError(key, err) {
+    if (cacheOpts.writeMode === 'background') {
+      return inBackground(key, saveError(key, err));
+    }
+
+    try {
+      await saveError(key, err);
+    } catch (setErr) {
+      countError(setErr, key, 'write');
+    }
+  }
+
+  function readL1(key) {
+    const item = cacheOpts.l1 ? cacheOpts.l1.get(key) : undefined;
+    return item === undefined ? undefined : { item, tier: 'l1' };
+  }
+
+  /**
+   * Whether a reply is an L1 copy that can't be served as a hit. Another client may already have replaced the
+   * entry in the cache client, so it should be dropped with `forget` and read again before calling the function.
+   * @param {object} reply A reply from `read` or `readMany`.
+   * @param {string} state What `inspect` made of it.
+   * @returns {boolean}
+   */
+  function outdatedInL1(reply, state) {
+    return reply.tier === 'l1' && !['fresh', 'legacy', 'error'].includes(state);
+  }
+
+  // Drops the L1's copy of an entry, so that it's read from the cache client next
+  function forget(key) {
+    if (cacheOpts.l1) {
+      cacheOpts.l1.delete(key);
+    }
+  }
+
+  // Cache errors are bypassed by using the function's result directly when failing open, and always while the circuit is open
+  function bypasses(err, key) {
+    if (err instanceof CircuitOpenError) {
+      emit('bypass', { key: key?.id, error: err });
+      return true;
+    }
+    if (cacheOpts.failOpen && isCacheError(err)) {
+      stats.increment('ceych.fail_open');
+      emit('bypass', { key: key?.id, error: err });
+      return true;
+    }
+    return false;
+  }
+
+  function isTimeout(err) {
+    return err?.message?.toLowerCase() === 'command timed out';
+  }
+
+  // Calls stopped by the open circuit aren't errors, and are reported as bypasses instead
+  function countError(err, key, operation) {
+    if (!(err instanceof CircuitOpenError)) {
+      stats.increment('ceych.errors');
+      emit('error', { key: key?.id, error: err, operation });
+    }
+  }
+
+  async function readCacheClient(get, key) {
+    try {
+      const startTime = performance.now();
+      const reply = await get();
+      stats.timing('ceych.read_time', performance.now() - startTime);
+      return reply;
+    } catch (err) {
+      countError(err, key, 'read');
+
+      if (isTimeout(err)) {
+        stats.increment('ceych.command_timed_out');
+      }
+      throw err;
+    }
+  }
+
+  // Entries found in the cache client are copied into the L1
+  function fromCacheClient(key, reply) {
+    if (!reply) {
+      return null;
+    }
+    if (cacheOpts.l1) {
+      cacheOpts.l1.set(key, reply.item, reply.ttl);
+    }
+    return { item: reply.item, tier: 'l2' };
+  }
+
+  // Checks the in-process L1, when there is one, before the cache client.
+  function read(key) {
+    return trace('ceych.get', { 'ceych.key': key.id }, async (span) => {
+      const reply = readL1(key) || fromCacheClient(key, await readCacheClient(() => cacheClient.get(key), key));
+
+      span.setAttribute('ceych.hit', Boolean(reply));
+      if (reply) {
+        span.setAttribute('ceych.tier', reply.tier);
+        if (cacheOpts.tracer) {
+          measure(span, reply.item);
+        }
+      }
+      return reply;
+    });
+  }
+
+  /**
+   * Reads several entries, with a single call to the cache client when it has a `getMany` function that
+   * resolves to an array of replies like those of `get`. Otherwise each entry is read in parallel.
+   * @param {object[]} keys
+   * @returns {Promise<object[]>} A reply, or null, for each key in order.
+   */
+  async function readMany(keys) {
+    if (typeof cacheClient.getMany !== 'function') {
+      return Promise.all(keys.map(read));
+    }
+
+    return trace('ceych.get_many', { 'ceych.keys': keys.length }, async (span) => {
+      const replies = keys.map(readL1);
+      const missing = keys.filter((key, i) => !replies[i]);
+
+      if (missing.length) {
+        const found = await readCacheClient(() => cacheClient.getMany(missing));
+        let next = 0;
+        replies.forEach((reply, i) => {
+          if (!reply) {
+            replies[i] = fromCacheClient(keys[i], found[next++]);
+          }
+        });
+      }
+      span.setAttribute('ceych.hits', replies.filter(Boolean).length);
+      return replies;
+    });
+  }
+
+  return {
+    stats,
+    emit,
+    trace,
+    bypasses,
+    outdatedInL1,
+    forget,
+    keyFor,
+    keysFor,
+    tagsForCall,
+    read,
+    readMany,
+    inspect,
+    currentTags,
+    decode,
+    ttlFor,
+    jitter,
+    write,
+    writeError
+  };
+};
@@ -0,0 +1,84 @@
+'use strict';
+
+const packageVersion = require('../package.json').version;
+
+// SpanStatusCode.ERROR in @opentelemetry/api
+const STATUS_ERROR = 2;
+
+// The API is an optional peer dependency, so is only used when it has been installed alongside ceych
+function loadApi() {
+  try {
+    return require('@opentelemetry/api');
+  } catch (err) {
+    return null;
+  }
+}
+
+const noOpSpan = {
+  setAttribute() {
+    return this;
+  },
+  setAttributes() {
+    return this;
+  },
+  recordException() {},
+  setStatus() {
+    return this;
+  },
+  end() {}
+};
+
+function isTracer(tracer) {
+  return tracer === true || (tracer !== null && typeof tracer === 'object' && typeof tracer.startActiveSpan === 'function');
+}
+
+/**
+ * Gets the tracer to create spans with.
+ * @param {boolean | object} [tracer] An OpenTelemetry tracer, or `true` for ceych's tracer from the global provider.
+ * @param {object} [api] The OpenTelemetry API, if it isn't to be required.
+ * @returns {object | null} The tracer, or null when there is none.
+ */
+function resolve(tracer, api = loadApi()) {
+  if (tracer === true) {
+    // Tracing would otherwise be silently turned off
+    if (!api) {
+      throw new Error('Tracer can only be true when @opentelemetry/api is installed');
+    }
+    return api.trace.getTracer('ceych', packageVersion);
+  }
+  return tracer || null;
+}
+
+/**
+ * Calls `fn` with a span that is active while it runs, so that spans started within it, including
+ * those of the function being wrapped, are its children. Errors are recorded on the span, and it is
+ * ended once `fn` settles. Without a tracer, `fn` is called with a span that does nothing.
+ * @param {object | null} tracer
+ * @param {string} name
+ * @param {object} attributes
+ * @param {function} fn An asynchronous function called with the span.
+ * @returns {Promise<any>} What `fn` resolves to.
+ */
+function inSpan(tracer, name, attributes, fn) {
+  if (!tracer) {
+    return fn(noOpSpan);
+  }
+
+  return tracer.startActiveSpan(name, { attributes }, async (span) => {
+    try {
+      return await fn(span);
+    } catch (err) {
+      span.recordException(err);
+      span.setStatus({ code: STATUS_ERROR, message: err?.message });
+      throw err;
+    } finally {
+      span.end();
+    }
+  });
+}
+
+module.exports = {
+  isTracer,
+  resolve,
+  inSpan
+};
@@ -1,23 +1,69 @@
 'use strict';
 
 const hash = require('./hash');
+const canonical = require('./canonical');
 const packageVersion = require('../package').version;
 
-function createKey(func, args, suffix) {
-  let keyString = func.toString().concat(JSON.stringify(args));
+// Ways of serialising a wrapped function's arguments into its cache keys, chosen with the client's `keySerializer`.
+// `json` is how keys have always been built; `canonical` gives equal arguments equal keys regardless of key order or type.
+const argsSerializers = {
+  json: (args) => JSON.stringify(args),
+  canonical: (args) => canonical.stringify(args, 'args')
+};
+
+// A stable `name` stands in for the function's source text, and a `key` function for its
+// serialised arguments, so keys survive minification or reformatting of the wrapped function.
+function identify(func, name) {
+  return name ? `name:${name}` : func.toString();
+}
+
+// How a function is named in events, where its source text would be too long
+function functionName(func, name) {
+  return name || func.name || 'anonymous';
+}
+
+function createKey(func, args, suffix, keyOpts) {
+  const { name, key, keySerializer = 'json', generation } = keyOpts;
+  let keyString = identify(func, name).concat(key ? argsKey(key, args) : argsSerializers[keySerializer](args));
 
   if (suffix.length) {
     keyString += suffix;
   }
 
+  // Keys are only changed by a generation when generations are enabled, so existing entries are kept otherwise
+  if (generation) {
+    keyString += `\u0000generation:${generation}`;
+  }
+
   return hash.create(keyString);
 }
 
-function createCacheKey(fn, args, suffix) {
+function argsKey(key, args) {
+  const result = key(...args);
+
+  if (typeof result !== 'string') {
+    throw new Error(`key function must return a string, received [${result}]`);
+  }
+
+  return `key:${result}`;
+}
+
+// Entries are kept apart by a namespace, and by a key version that is only changed to deliberately
+// abandon existing entries. A key version of `package` ties entries to the ceych release, as it used to.
+function createSegment(segmentOpts = {}) {
+  const { namespace = 'ceych', keyVersion = 1 } = segmentOpts;
+
+  if (keyVersion === 'package') {
+    return `${namespace}_${packageVersion}`;
+  }
+  return `${namespace}_v${keyVersion}`;
+}
+
+function createCacheKey(fn, args, suffix, keyOpts = {}) {
   try {
     return {
-      id: createKey(fn, args, suffix),
-      segment: `ceych_${packageVersion}`,
+      id: createKey(fn, args, suffix, keyOpts),
+      segment: keyOpts.segment || createSegment(),
     };
   } catch (e) {
     const err = new Error(
@@ -27,6 +73,50 @@ function createCacheKey(fn, args, suffix) {
   }
 }
 
+// Tag versions share the segment of the entries they tag. Entry ids are hashes, so can't collide with these.
+function createTagKey(tag, segment = createSegment()) {
+  return {
+    id: `tag:${tag}`,
+    segment
+  };
+}
+
+// Generations live alongside tag versions, under the ids `generation:client` and `generation:fn:<hash>`
+function createGenerationKey(scope, segment = createSegment()) {
+  return {
+    id: `generation:${scope}`,
+    segment
+  };
+}
+
+// Identifies every entry of a wrapped function, whatever its arguments
+function createFunctionId(func, suffix, keyOpts = {}) {
+  return hash.create(identify(func, keyOpts.name).concat(suffix));
+}
+
+// Calls fn with each item, with no more than `concurrency` calls in flight at once. Resolves to the results in order.
+async function mapWithConcurrency(items, concurrency, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+  return results;
+}
+
 module.exports = {
-  createCacheKey
+  argsSerializers,
+  mapWithConcurrency,
+  functionName,
+  createSegment,
+  createCacheKey,
+  createTagKey,
+  createGenerationKey,
+  createFunctionId
 };
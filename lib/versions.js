@@ -0,0 +1,130 @@
+'use strict';
+
+const crypto = require('crypto');
+
+// Versions start with the time they replaced another, so it can be told whether one was replaced during a call
+function newVersion(time) {
+  return `${time.toString(36)}.${crypto.randomBytes(8).toString('hex')}`;
+}
+
+// Versions from before they carried a time are treated as never having replaced another
+function replacedAt(version) {
+  const [time, random] = version.split('.');
+  return random ? parseInt(time, 36) : 0;
+}
+
+/**
+ * Keeps the current version of a set of names - tags, or the scopes of generations - in the cache
+ * client. Entries depend on the versions current when they were written, and are only used while
+ * those versions are still current, so invalidating a name is a single write that works on any
+ * Catbox engine without scanning keys.
+ */
+class Versions {
+  /**
+   * @param {object} cacheClient The Catbox client that versions are stored in.
+   * @param {number} ttl How long, in seconds, to keep each version. Entries depending on a version that has expired are treated as invalidated.
+   * @param {function} createKey Builds the cache key that a name's version is stored under.
+   * @param {object} [local]
+   * @param {object} [local.l1] The client's L1, which versions are held in so that entries found in it can be used without a round trip.
+   * @param {object} [local.broadcast] Replaced versions are published to it, so that other clients evict them from their L1s.
+   */
+  constructor(cacheClient, ttl, createKey, local = {}) {
+    this.cache = cacheClient;
+    this.ttl = ttl;
+    this.createKey = createKey;
+    this.l1 = local.l1;
+    this.broadcast = local.broadcast;
+    // First versions being created, by name, so that concurrent calls in this process share one
+    this.creating = new Map();
+  }
+
+  /**
+   * Gets the current version of each name.
+   * @param {string[]} names
+   * @returns {Promise<object>} The version of each name, or null for names without one.
+   */
+  async current(names) {
+    const versions = await Promise.all(names.map((name) => this.read(name)));
+    return Object.fromEntries(names.map((name, i) => [name, versions[i]]));
+  }
+
+  async read(name) {
+    const held = this.l1 ? this.l1.get(this.createKey(name)) : undefined;
+    if (held !== undefined) {
+      return held;
+    }
+
+    const version = await this.readStored(name);
+    if (version) {
+      this.hold(name, version);
+    }
+    return version;
+  }
+
+  async readStored(name) {
+    const reply = await this.cache.get(this.createKey(name));
+    return reply ? reply.item : null;
+  }
+
+  /**
+   * Gets the current version of each name, creating versions for names that don't have one.
+   * @param {string[]} names
+   * @param {number} [since] A time in milliseconds. When given, resolves to null instead if any name's version was replaced at or after it.
+   * @returns {Promise<object | null>} The version of each name.
+   */
+  async ensure(names, since) {
+    const versions = await this.current(names);
+
+    if (since !== undefined && names.some((name) => versions[name] && replacedAt(versions[name]) >= since)) {
+      return null;
+    }
+
+    await Promise.all(names.filter((name) => !versions[name]).map(async (name) => {
+      versions[name] = await this.create(name);
+    }));
+    return versions;
+  }
+
+  // Creating a version is a read followed by a write, so other processes may create one at the same time.
+  // The version is read back once it has been written, so that every caller uses whichever was stored last.
+  create(name) {
+    if (!this.creating.has(name)) {
+      const creating = (async () => {
+        // A first version doesn't replace anything, so has no time
+        const created = await this.store(name, newVersion(0));
+        return this.hold(name, await this.readStored(name) || created);
+      })();
+
+      this.creating.set(name, creating);
+      creating.finally(() => this.creating.delete(name)).catch(() => {});
+    }
+    return this.creating.get(name);
+  }
+
+  /**
+   * Replaces the version of a name, invalidating every entry that depends on the old one.
+   * @param {string} name
+   * @returns {Promise<string>} The new version.
+   */
+  async bump(name) {
+    const version = this.hold(name, await this.store(name, newVersion(Date.now())));
+    if (this.broadcast) {
+      await this.broadcast.publish({ type: 'invalidate', key: this.createKey(name) });
+    }
+    return version;
+  }
+
+  async store(name, version) {
+    await this.cache.set(this.createKey(name), version, this.ttl * 1000);
+    return version;
+  }
+
+  hold(name, version) {
+    if (this.l1) {
+      this.l1.set(this.createKey(name), version);
+    }
+    return version;
+  }
+}
+
+module.exports = Versions;
@@ -10,4 +10,13 @@ describe('Ceych', () => {
       assert.strictEqual(typeof testCeych, 'object');
     });
   });
+
+  describe('.InProcessBroadcast', () => {
+    it('can be used as the broadcast of a ceych client', () => {
+      const testCeych = Ceych.createClient({
+        broadcast: new Ceych.InProcessBroadcast()
+      });
+      assert.instanceOf(testCeych.broadcast, Ceych.InProcessBroadcast);
+    });
+  });
 });
@@ -0,0 +1,225 @@
+'use strict';
+
+const assert = require('chai').assert;
+const sinon = require('sinon');
+const sandbox = sinon.createSandbox();
+const Catbox = require('@hapi/catbox').Client;
+const CatboxMemory = require('@hapi/catbox-memory');
+
+const batch = require('../../lib/batch');
+const LRU = require('../../lib/lru');
+const Versions = require('../../lib/versions');
+const Generations = require('../../lib/generations');
+const { createTagKey } = require('../../lib/utils');
+
+const opts = {
+  ttl: 30,
+  suffix: '',
+  name: 'getProgrammes'
+};
+
+function programmes(pids) {
+  return Promise.resolve(pids.map((pid) => ({ pid })));
+}
+
+describe('batch', () => {
+  let cacheClient;
+  let fn;
+
+  beforeEach(async () => {
+    cacheClient = new Catbox(new CatboxMemory.Engine());
+    await cacheClient.start();
+    fn = sandbox.spy(programmes);
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  it('returns the result for each id in order', async () => {
+    const func = batch(cacheClient, opts, fn);
+
+    const results = await func(['b00', 'b01']);
+    assert.deepEqual(results, [{ pid: 'b00' }, { pid: 'b01' }]);
+  });
+
+  it('only calls the function with the ids that are not cached', async () => {
+    const func = batch(cacheClient, opts, fn);
+
+    await func(['b00', 'b01']);
+    const results = await func(['b02', 'b01', 'b00', 'b03']);
+
+    assert.deepEqual(results, [{ pid: 'b02' }, { pid: 'b01' }, { pid: 'b00' }, { pid: 'b03' }]);
+    sinon.assert.calledTwice(fn);
+    sinon.assert.calledWith(fn.secondCall, ['b02', 'b03']);
+  });
+
+  it('does not call the function when every id is cached', async () => {
+    const func = batch(cacheClient, opts, fn);
+
+    await func(['b00', 'b01']);
+    await func(['b01']);
+    sinon.assert.calledOnce(fn);
+  });
+
+  it('passes repeated ids to the function once', async () => {
+    const func = batch(cacheClient, opts, fn);
+
+    const results = await func(['b00', 'b00']);
+    assert.deepEqual(results, [{ pid: 'b00' }, { pid: 'b00' }]);
+    sinon.assert.calledWith(fn, ['b00']);
+  });
+
+  it('includes any other arguments in the key of each id', async () => {
+    const withLang = sandbox.spy((pids, lang) => Promise.resolve(pids.map((pid) => `${pid}:${lang}`)));
+    const func = batch(cacheClient, opts, withLang);
+
+    await func(['b00'], 'en');
+    const results = await func(['b00'], 'cy');
+    assert.deepEqual(results, ['b00:cy']);
+    sinon.assert.calledTwice(withLang);
+  });
+
+  it('looks ids up with getMany when the cache client has it', async () => {
+    const func = batch(cacheClient, opts, fn);
+    await func(['b00']);
+
+    cacheClient.getMany = sandbox.spy((keys) => Promise.all(keys.map((key) => cacheClient.get(key))));
+
+    await func(['b00', 'b01']);
+    sinon.assert.calledOnce(cacheClient.getMany);
+    sinon.assert.calledWith(cacheClient.getMany, sinon.match.array.and(sinon.match((keys) => keys.length === 2)));
+    sinon.assert.calledWith(fn.secondCall, ['b01']);
+  });
+
+  it('only looks up ids missing from the L1 with getMany', async () => {
+    const l1 = new LRU();
+    const func = batch(cacheClient, { ...opts, l1 }, fn);
+    await func(['b00']);
+
+    cacheClient.getMany = sandbox.stub().resolves([null]);
+
+    await func(['b00', 'b01']);
+    sinon.assert.calledWith(cacheClient.getMany, [sinon.match({ id: sinon.match.string })]);
+  });
+
+  it('reads the generation and the versions of tags once for all ids', async () => {
+    const generations = new Generations(cacheClient, { ttl: 60 });
+    const tagVersions = new Versions(cacheClient, 60, (tag) => createTagKey(tag));
+    const func = batch(cacheClient, { ...opts, generations, tags: ['programme'], tagVersions }, fn);
+    const pids = Array.from({ length: 50 }, (_, i) => `b${i}`);
+    await func(pids);
+
+    const get = cacheClient.get.bind(cacheClient);
+    cacheClient.getMany = sandbox.spy((keys) => Promise.all(keys.map((key) => get(key))));
+    sandbox.spy(cacheClient, 'get');
+
+    const results = await func(pids);
+    assert.lengthOf(results, 50);
+    sinon.assert.calledOnce(fn);
+    sinon.assert.calledOnce(cacheClient.getMany);
+    // The function's and client's generations, and the tag's version
+    sinon.assert.callCount(cacheClient.get, 3);
+  });
+
+  it('reads ids whose copy in the L1 was invalidated from the cache client before calling the function', async () => {
+    const tagVersions = new Versions(cacheClient, 60, (tag) => createTagKey(tag));
+    let calls = 0;
+    const func = (pids) => Promise.resolve(pids.map((pid) => ({ pid, calls: ++calls })));
+    const first = batch(cacheClient, { ...opts, l1: new LRU(), tags: ['programme'], tagVersions }, func);
+    const second = batch(cacheClient, { ...opts, l1: new LRU(), tags: ['programme'], tagVersions }, func);
+
+    await first(['b00']);
+    await second(['b00']);
+    await tagVersions.bump('programme');
+    await first(['b00']);
+
+    assert.deepEqual(await second(['b00']), [{ pid: 'b00', calls: 2 }]);
+    assert.strictEqual(calls, 2);
+  });
+
+  it('does not cache results rejected by shouldCache', async () => {
+    const func = batch(cacheClient, { ...opts, shouldCache: (programme) => programme.pid !== 'b00' }, fn);
+
+    await func(['b00', 'b01']);
+    await func(['b00', 'b01']);
+    sinon.assert.calledWith(fn.secondCall, ['b00']);
+  });
+
+  it('calls the function directly when the cache is not ready', async () => {
+    await cacheClient.stop();
+    const func = batch(cacheClient, opts, fn);
+
+    const results = await func(['b00']);
+    assert.deepEqual(results, [{ pid: 'b00' }]);
+  });
+
+  it('emits a bypass event when the cache is not ready', async () => {
+    await cacheClient.stop();
+    const emit = sandbox.stub();
+    const func = batch(cacheClient, { ...opts, emit }, fn);
+
+    await func(['b00']);
+    sinon.assert.calledOnceWithExactly(emit, 'bypass', { func: 'getProgrammes' });
+  });
+
+  it('returns an error if the function does not return a result for each id', async () => {
+    const func = batch(cacheClient, opts, () => Promise.resolve([1]));
+
+    try {
+      await func(['b00', 'b01']);
+    } catch (err) {
+      return assert.strictEqual(err.message, 'Batch function must return an array with a result for each id, received [1]');
+    }
+    assert.fail('Expected error to be returned!');
+  });
+
+  it('returns an error if it is not called with an array of ids', async () => {
+    const func = batch(cacheClient, opts, fn);
+
+    try {
+      await func('b00');
+    } catch (err) {
+      return assert.strictEqual(err.message, 'Can only call a batch function with an array of ids, received [b00]');
+    }
+    assert.fail('Expected error to be returned!');
+  });
+
+  it('increments a StatsD counter for each hit and miss', async () => {
+    const statsClient = {
+      increment: sandbox.stub(),
+      timing: sandbox.stub()
+    };
+    const func = batch(cacheClient, { ...opts, statsClient }, fn);
+
+    await func(['b00']);
+    await func(['b00', 'b01']);
+    sinon.assert.calledOnceWithExactly(statsClient.increment.withArgs('ceych.hits'), 'ceych.hits');
+    sinon.assert.calledTwice(statsClient.increment.withArgs('ceych.misses'));
+  });
+
+  it('emits a hit or miss event for each id', async () => {
+    const emit = sandbox.stub();
+    const func = batch(cacheClient, { ...opts, emit }, fn);
+
+    await func(['b00']);
+    emit.resetHistory();
+    await func(['b00', 'b01']);
+    sinon.assert.calledWith(emit, 'hit', sinon.match({ func: 'getProgrammes', key: sinon.match.string, ttl: 30 }));
+    sinon.assert.calledWith(emit, 'miss', sinon.match({ func: 'getProgrammes', key: sinon.match.string }));
+    sinon.assert.calledWith(emit, 'set', sinon.match({ func: 'getProgrammes', ttl: 30 }));
+  });
+
+  it('counts a call for each id with whether it was a hit', async () => {
+    const metrics = {
+      increment: sandbox.stub(),
+      timing: sandbox.stub()
+    };
+    const func = batch(cacheClient, { ...opts, metrics }, fn);
+
+    await func(['b00']);
+    await func(['b00', 'b01']);
+    sinon.assert.calledWith(metrics.increment, 'ceych.calls', { func: 'getProgrammes', suffix: '', result: 'hit', outcome: 'success' });
+    sinon.assert.calledTwice(metrics.increment.withArgs('ceych.calls', sinon.match({ result: 'miss', outcome: 'success' })));
+  });
+});
@@ -0,0 +1,47 @@
+'use strict';
+
+const assert = require('chai').assert;
+const sinon = require('sinon');
+
+const { InProcessBroadcast, isBroadcast } = require('../../lib/broadcast');
+
+describe('broadcast', () => {
+  describe('InProcessBroadcast', () => {
+    it('sends published messages to every subscriber', () => {
+      const broadcast = new InProcessBroadcast();
+      const first = sinon.stub();
+      const second = sinon.stub();
+      const message = { type: 'invalidate', key: { segment: 'ceych', id: 'a' } };
+
+      broadcast.subscribe(first);
+      broadcast.subscribe(second);
+      broadcast.publish(message);
+
+      sinon.assert.calledWith(first, message);
+      sinon.assert.calledWith(second, message);
+    });
+
+    it('stops sending messages once unsubscribed', () => {
+      const broadcast = new InProcessBroadcast();
+      const handler = sinon.stub();
+
+      const unsubscribe = broadcast.subscribe(handler);
+      unsubscribe();
+      broadcast.publish({ type: 'invalidate' });
+
+      sinon.assert.notCalled(handler);
+    });
+  });
+
+  describe('.isBroadcast', () => {
+    it('accepts objects with publish and subscribe functions', () => {
+      assert.isTrue(isBroadcast(new InProcessBroadcast()));
+      assert.isTrue(isBroadcast({ publish: () => {}, subscribe: () => {} }));
+    });
+
+    it('rejects anything else', () => {
+      assert.isFalse(isBroadcast({ publish: () => {} }));
+      assert.isFalse(isBroadcast(null));
+    });
+  });
+});
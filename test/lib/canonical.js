@@ -0,0 +1,104 @@
+'use strict';
+
+const assert = require('chai').assert;
+
+const canonical = require('../../lib/canonical');
+
+describe('canonical', () => {
+  describe('.stringify', () => {
+    it('gives objects with the same properties in a different order the same string', () => {
+      assert.strictEqual(canonical.stringify({ a: 1, b: 2 }), canonical.stringify({ b: 2, a: 1 }));
+    });
+
+    it('sorts the properties of nested objects', () => {
+      const first = canonical.stringify([{ a: { c: 3, d: 4 }, b: 2 }]);
+      const second = canonical.stringify([{ b: 2, a: { d: 4, c: 3 } }]);
+      assert.strictEqual(first, second);
+    });
+
+    it('keeps the order of arrays', () => {
+      assert.notEqual(canonical.stringify([1, 2]), canonical.stringify([2, 1]));
+    });
+
+    it('distinguishes values of different types', () => {
+      const values = [1, '1', 1n, true, 'true', null, 'null', undefined, new Date(0), new Date(0).toISOString()];
+      const strings = values.map((value) => canonical.stringify(value));
+      assert.strictEqual(new Set(strings).size, values.length);
+    });
+
+    it('keeps properties that are undefined', () => {
+      assert.notEqual(canonical.stringify({ a: undefined }), canonical.stringify({}));
+    });
+
+    it('distinguishes 0 from -0', () => {
+      assert.notEqual(canonical.stringify(0), canonical.stringify(-0));
+    });
+
+    it('serialises Maps regardless of insertion order', () => {
+      const first = new Map([['a', 1], ['b', 2]]);
+      const second = new Map([['b', 2], ['a', 1]]);
+      assert.strictEqual(canonical.stringify(first), canonical.stringify(second));
+      assert.notEqual(canonical.stringify(first), canonical.stringify(new Map([['a', 1]])));
+    });
+
+    it('serialises Sets regardless of insertion order', () => {
+      assert.strictEqual(canonical.stringify(new Set([1, 2])), canonical.stringify(new Set([2, 1])));
+      assert.notEqual(canonical.stringify(new Set([1, 2])), canonical.stringify([1, 2]));
+    });
+
+    it('serialises Buffers by their contents', () => {
+      assert.strictEqual(canonical.stringify(Buffer.from('abc')), canonical.stringify(Buffer.from('abc')));
+      assert.notEqual(canonical.stringify(Buffer.from('abc')), canonical.stringify(Buffer.from('abd')));
+    });
+
+    it('serialises BigInts', () => {
+      assert.strictEqual(canonical.stringify(10n), 'i:10');
+    });
+
+    it('distinguishes instances of different classes with the same properties', () => {
+      class Programme {
+        constructor(pid) {
+          this.pid = pid;
+        }
+      }
+
+      assert.notEqual(canonical.stringify(new Programme('b00')), canonical.stringify({ pid: 'b00' }));
+    });
+
+    it('serialises instances with a toJSON function by what it returns', () => {
+      assert.notEqual(canonical.stringify(new URL('https://a.com/x')), canonical.stringify(new URL('https://b.com/y')));
+      assert.strictEqual(canonical.stringify(new URL('https://a.com/x')), 'URL(s:"https://a.com/x")');
+    });
+
+    it('throws an error for instances without a toJSON function or properties of their own', () => {
+      assert.throws(() => {
+        canonical.stringify([new URLSearchParams('a=1')], 'args');
+      }, Error, 'Cannot serialise URLSearchParams at args[0]');
+    });
+
+    it('serialises empty plain objects', () => {
+      assert.strictEqual(canonical.stringify({}), 'Object{}');
+      assert.strictEqual(canonical.stringify(Object.create(null)), 'Object{}');
+    });
+
+    it('allows the same object to appear more than once', () => {
+      const shared = { a: 1 };
+      assert.doesNotThrow(() => canonical.stringify([shared, shared]));
+    });
+
+    it('throws an error describing where a circular reference is', () => {
+      const circular = { nested: {} };
+      circular.nested.parent = circular;
+
+      assert.throws(() => {
+        canonical.stringify([circular], 'args');
+      }, Error, 'Circular reference at args[0].nested.parent');
+    });
+
+    it('throws an error for functions', () => {
+      assert.throws(() => {
+        canonical.stringify({ callback: () => {} }, 'args');
+      }, Error, 'Cannot serialise a function at args.callback');
+    });
+  });
+});
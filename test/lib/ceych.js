@@ -6,8 +6,12 @@ const sinon = require('sinon');
 const CatboxMemory = require('@hapi/catbox-memory');
 
 const hash = require('../../lib/hash');
+const envelope = require('../../lib/envelope');
 const Ceych = require('../../lib/ceych');
 const { createCacheKey } = require('../../lib/utils');
+const { InProcessBroadcast } = require('../../lib/broadcast');
+const PrometheusMetrics = require('../../lib/prometheus');
+const packageVersion = require('../../package.json').version;
 
 const sandbox = sinon.createSandbox();
 
@@ -67,6 +71,233 @@ describe('ceych', () => {
         });
       }, Error, 'Default TTL cannot be less than or equal to zero');
     });
+
+    it('defaults to no stale while revalidate window', () => {
+      const ceych = new Ceych();
+      assert.strictEqual(ceych.staleWhileRevalidate, 0);
+    });
+
+    it('throws an error when the stale while revalidate window < 0', () => {
+      assert.throws(() => {
+        new Ceych({
+          staleWhileRevalidate: -5
+        });
+      }, Error, 'Stale while revalidate window must be a number greater than or equal to zero');
+    });
+
+    it('defaults to the JSON key serializer', () => {
+      const ceych = new Ceych();
+      assert.strictEqual(ceych.keySerializer, 'json');
+    });
+
+    it('throws an error when the key serializer is not recognised', () => {
+      assert.throws(() => {
+        new Ceych({
+          keySerializer: 'xml'
+        });
+      }, Error, 'Key serializer must be one of json, canonical');
+    });
+
+    it('defaults to the JSON codec', () => {
+      const ceych = new Ceych();
+      assert.strictEqual(ceych.codec, 'json');
+    });
+
+    it('throws an error when the codec is not recognised', () => {
+      assert.throws(() => {
+        new Ceych({
+          codec: { encode: () => {} }
+        });
+      }, Error, 'Codec must be json, structured or an object with an id and encode and decode functions');
+    });
+
+    it('throws an error when the compression options are invalid', () => {
+      assert.throws(() => {
+        new Ceych({
+          compression: { algorithm: 'zstd' }
+        });
+      }, Error, 'Compression must be an object with a threshold of zero or more bytes and an algorithm of gzip or brotli');
+    });
+
+    it('does not have an L1 by default', () => {
+      const ceych = new Ceych();
+      assert.isNull(ceych.l1);
+    });
+
+    it('creates an L1 from the l1 options', () => {
+      const ceych = new Ceych({
+        l1: { maxEntries: 10, ttl: 1 }
+      });
+      assert.strictEqual(ceych.l1.maxEntries, 10);
+      assert.strictEqual(ceych.l1.ttl, 1);
+    });
+
+    it('throws an error when the L1 options are invalid', () => {
+      assert.throws(() => {
+        new Ceych({
+          l1: { maxEntries: -1 }
+        });
+      }, Error, 'L1 options must be an object where maxEntries, maxBytes and ttl are numbers greater than zero');
+    });
+
+    it('throws an error when the broadcast does not have publish and subscribe functions', () => {
+      assert.throws(() => {
+        new Ceych({
+          broadcast: { publish: () => {} }
+        });
+      }, Error, 'Broadcast must be an object with publish and subscribe functions');
+    });
+
+    it('defaults to a tag TTL of one day', () => {
+      const ceych = new Ceych();
+      assert.strictEqual(ceych.tagVersions.ttl, 86400);
+    });
+
+    it('throws an error when the tag TTL <= 0', () => {
+      assert.throws(() => {
+        new Ceych({
+          tagTTL: 0
+        });
+      }, Error, 'Tag TTL must be a number greater than zero');
+    });
+
+    it('uses the ceych namespace and key version 1 by default', () => {
+      const ceych = new Ceych();
+      assert.strictEqual(ceych.segment, 'ceych_v1');
+    });
+
+    it('builds the segment from the namespace and key version', () => {
+      const ceych = new Ceych({
+        namespace: 'programmes',
+        keyVersion: 3
+      });
+      assert.strictEqual(ceych.segment, 'programmes_v3');
+    });
+
+    it('ties the segment to the package version when the key version is package', () => {
+      const ceych = new Ceych({
+        keyVersion: 'package'
+      });
+      assert.strictEqual(ceych.segment, `ceych_${packageVersion}`);
+    });
+
+    it('throws an error when the namespace is not a non-empty string', () => {
+      assert.throws(() => {
+        new Ceych({
+          namespace: ''
+        });
+      }, Error, 'Namespace must be a non-empty string');
+    });
+
+    it('throws an error when the key version is not a string or number', () => {
+      assert.throws(() => {
+        new Ceych({
+          keyVersion: {}
+        });
+      }, Error, 'Key version must be a non-empty string, a number or package');
+    });
+
+    it('keeps the entries of clients with different namespaces apart', async () => {
+      const cacheClient = new Catbox(new CatboxMemory.Engine());
+      const func = sandbox.stub().resolves(1);
+      const first = new Ceych({ cacheClient, namespace: 'first' });
+      const second = new Ceych({ cacheClient, namespace: 'second' });
+
+      await first.wrap(func)();
+      await second.wrap(func)();
+      sinon.assert.calledTwice(func);
+    });
+
+    it('throws an error when a timeout is not a number greater than zero', () => {
+      assert.throws(() => new Ceych({ readTimeout: 0 }), Error, 'Read timeout must be a number of milliseconds greater than zero');
+      assert.throws(() => new Ceych({ writeTimeout: '50' }), Error, 'Write timeout must be a number of milliseconds greater than zero');
+    });
+
+    it('throws an error when the circuit breaker options are invalid', () => {
+      assert.throws(() => {
+        new Ceych({
+          circuitBreaker: { threshold: -1 }
+        });
+      }, Error, 'Circuit breaker must be true or an object where threshold and resetTimeout are numbers greater than zero');
+    });
+
+    it('throws an error when the write mode is not await or background', () => {
+      assert.throws(() => new Ceych({ writeMode: 'later' }), Error, 'Write mode must be await or background');
+    });
+
+    it('throws an error when the write error hook is not a function', () => {
+      assert.throws(() => new Ceych({ onWriteError: true }), Error, 'Write error hook must be a function');
+    });
+
+    it('throws an error when the metrics adapter is invalid', () => {
+      assert.throws(() => new Ceych({ metrics: { increment: () => {} } }), Error, 'Metrics must be an object with increment and timing functions');
+    });
+
+    it('throws an error when the tracer is invalid', () => {
+      assert.throws(() => new Ceych({ tracer: {} }), Error, 'Tracer must be true or an object with a startActiveSpan function');
+    });
+
+    it('uses a tracer from the OpenTelemetry API when the tracer is true', () => {
+      const ceych = new Ceych({ tracer: true });
+      assert.isFunction(ceych.tracer.startActiveSpan);
+    });
+
+    it('throws an error when the event hook is not a function', () => {
+      assert.throws(() => new Ceych({ onEvent: 'log' }), Error, 'Event hook must be a function');
+    });
+
+    it('does not have a circuit breaker by default', () => {
+      const ceych = new Ceych();
+      assert.isNull(ceych.circuitBreaker);
+    });
+
+    it('does not use generations by default', () => {
+      const ceych = new Ceych();
+      assert.isNull(ceych.generations);
+    });
+
+    it('throws an error when the generations options are invalid', () => {
+      assert.throws(() => {
+        new Ceych({
+          generations: { ttl: 0 }
+        });
+      }, Error, 'Generations must be true or an object with a ttl greater than zero');
+    });
+
+    it('does not refresh early or jitter TTLs by default', () => {
+      const ceych = new Ceych();
+      assert.strictEqual(ceych.earlyRefresh, 0);
+      assert.strictEqual(ceych.ttlJitter, 0);
+    });
+
+    it('throws an error when early refresh < 0', () => {
+      assert.throws(() => {
+        new Ceych({
+          earlyRefresh: -1
+        });
+      }, Error, 'Early refresh must be a number greater than or equal to zero');
+    });
+
+    it('throws an error when the TTL jitter is not from zero to one', () => {
+      assert.throws(() => {
+        new Ceych({
+          ttlJitter: 1.5
+        });
+      }, Error, 'TTL jitter must be a number from zero to one');
+    });
+
+    it('defaults to no stale if error window', () => {
+      const ceych = new Ceych();
+      assert.strictEqual(ceych.staleIfError, 0);
+    });
+
+    it('throws an error when the stale if error window < 0', () => {
+      assert.throws(() => {
+        new Ceych({
+          staleIfError: -5
+        });
+      }, Error, 'Stale if error window must be a number greater than or equal to zero');
+    });
   });
 
   describe('.wrap', () => {
@@ -113,6 +344,177 @@ describe('ceych', () => {
           });
       });
 
+      it('keeps entries for the stale while revalidate window given in the options', () => {
+        sandbox.stub(cacheClient, 'set').returns(Promise.resolve());
+        sandbox.stub(cacheClient, 'isReady').returns(true);
+
+        const func = ceych.wrap(wrappable, { ttl: 5, staleWhileRevalidate: 10 });
+
+        return func()
+          .catch(assert.ifError)
+          .then(() => {
+            sinon.assert.calledWith(cacheClient.set, sinon.match.any, sinon.match.any, 15000);
+          });
+      });
+
+      it('uses the stale while revalidate window of the client by default', () => {
+        sandbox.stub(cacheClient, 'set').returns(Promise.resolve());
+        sandbox.stub(cacheClient, 'isReady').returns(true);
+
+        const ceych = new Ceych({
+          cacheClient,
+          staleWhileRevalidate: 20
+        });
+        const func = ceych.wrap(wrappable, 5);
+
+        return func()
+          .catch(assert.ifError)
+          .then(() => {
+            sinon.assert.calledWith(cacheClient.set, sinon.match.any, sinon.match.any, 25000);
+          });
+      });
+
+      it('keeps entries for the stale if error window given in the options', () => {
+        sandbox.stub(cacheClient, 'set').returns(Promise.resolve());
+        sandbox.stub(cacheClient, 'isReady').returns(true);
+
+        const ceych = new Ceych({
+          cacheClient,
+          staleIfError: 20
+        });
+        const func = ceych.wrap(wrappable, { ttl: 5, staleIfError: 100 });
+
+        return func()
+          .catch(assert.ifError)
+          .then(() => {
+            sinon.assert.calledWith(cacheClient.set, sinon.match.any, sinon.match.any, 105000);
+          });
+      });
+
+      it('throws if an incorrect stale if error window is supplied', () => {
+        assert.throws(() => {
+          ceych.wrap(wrappable, { staleIfError: -1 });
+        }, Error, 'Incorrect wrap opts received, staleIfError must be a number greater than or equal to zero');
+      });
+
+      it('throws if an incorrect stale while revalidate window is supplied', () => {
+        assert.throws(() => {
+          ceych.wrap(wrappable, { staleWhileRevalidate: 'invalid' });
+        }, Error, 'Incorrect wrap opts received, staleWhileRevalidate must be a number greater than or equal to zero');
+      });
+
+      it('sets the TTL and suffix from an options object', () => {
+        sandbox.stub(cacheClient, 'set').returns(Promise.resolve());
+        sandbox.stub(cacheClient, 'isReady').returns(true);
+
+        const func = ceych.wrap(wrappable, { ttl: 5, suffix: 'suffix' });
+
+        return func()
+          .catch(assert.ifError)
+          .then(() => {
+            sinon.assert.calledWith(cacheClient.set, sinon.match({ id: 'hashed' }), sinon.match.any, 5000);
+          });
+      });
+
+      it('uses the default TTL when the options object does not set one', () => {
+        sandbox.stub(cacheClient, 'set').returns(Promise.resolve());
+        sandbox.stub(cacheClient, 'isReady').returns(true);
+
+        const func = ceych.wrap(wrappable, { suffix: 'suffix' });
+
+        return func()
+          .catch(assert.ifError)
+          .then(() => {
+            sinon.assert.calledWith(cacheClient.set, sinon.match.any, sinon.match.any, 30000);
+          });
+      });
+
+      it('throws if an incorrect ttl is supplied in the options object', () => {
+        assert.throws(() => {
+          ceych.wrap(wrappable, { ttl: 0 });
+        }, Error, 'Incorrect wrap opts received, ttl must be a number greater than zero');
+      });
+
+      it('throws if an incorrect suffix is supplied in the options object', () => {
+        assert.throws(() => {
+          ceych.wrap(wrappable, { suffix: 1 });
+        }, Error, 'Incorrect wrap opts received, suffix must be a string');
+      });
+
+      it('throws if the name is not a non-empty string', () => {
+        assert.throws(() => {
+          ceych.wrap(wrappable, { name: '' });
+        }, Error, 'Incorrect wrap opts received, name must be a non-empty string');
+      });
+
+      it('throws if the key is not a function', () => {
+        assert.throws(() => {
+          ceych.wrap(wrappable, { key: 'id' });
+        }, Error, 'Incorrect wrap opts received, key must be a function');
+      });
+
+      it('stores results with the codec given in the options', () => {
+        sandbox.stub(cacheClient, 'set').returns(Promise.resolve());
+        sandbox.stub(cacheClient, 'isReady').returns(true);
+
+        const func = ceych.wrap(wrappable, { codec: 'structured' });
+
+        return func()
+          .catch(assert.ifError)
+          .then(() => {
+            sinon.assert.calledWith(cacheClient.set, sinon.match.any, sinon.match({ codec: 'structured' }));
+          });
+      });
+
+      it('throws if the codec is not recognised', () => {
+        assert.throws(() => {
+          ceych.wrap(wrappable, { codec: 'xml' });
+        }, Error, 'Incorrect wrap opts received, codec must be json, structured or an object with an id and encode and decode functions');
+      });
+
+      it('allows compression to be turned off for a function', () => {
+        sandbox.stub(cacheClient, 'set').returns(Promise.resolve());
+        sandbox.stub(cacheClient, 'isReady').returns(true);
+
+        const ceych = new Ceych({
+          cacheClient,
+          compression: { threshold: 0 }
+        });
+        const func = ceych.wrap(wrappable, { compression: false });
+
+        return func()
+          .catch(assert.ifError)
+          .then(() => {
+            sinon.assert.calledWith(cacheClient.set, sinon.match.any, sinon.match({ value: 1 }));
+          });
+      });
+
+      it('throws if shouldCache or ttlFor are not functions', () => {
+        assert.throws(() => ceych.wrap(wrappable, { shouldCache: true }), Error, 'Incorrect wrap opts received, shouldCache must be a function');
+        assert.throws(() => ceych.wrap(wrappable, { ttlFor: 60 }), Error, 'Incorrect wrap opts received, ttlFor must be a function');
+      });
+
+      it('throws if the write mode is not await or background', () => {
+        assert.throws(() => ceych.wrap(wrappable, { writeMode: 'later' }), Error, 'Incorrect wrap opts received, writeMode must be await or background');
+      });
+
+      it('throws if the error TTL or error filter are invalid', () => {
+        assert.throws(() => ceych.wrap(wrappable, { errorTTL: 0 }), Error, 'Incorrect wrap opts received, errorTTL must be a number greater than zero');
+        assert.throws(() => ceych.wrap(wrappable, { errorFilter: 404 }), Error, 'Incorrect wrap opts received, errorFilter must be a function');
+      });
+
+      it('throws if the tags are not an array of strings or a function', () => {
+        assert.throws(() => {
+          ceych.wrap(wrappable, { tags: 'programme' });
+        }, Error, 'Incorrect wrap opts received, tags must be an array of non-empty strings or a function');
+      });
+
+      it('throws if an unknown option is supplied in the options object', () => {
+        assert.throws(() => {
+          ceych.wrap(wrappable, { ttl: 5, tll: 10 });
+        }, Error, 'Incorrect wrap opts received, tll is not a recognised option');
+      });
+
       it('throws if incorrect type supplied as ttl', async () => {
         try {
           ceych.wrap(wrappable, 'invalid_ttl');
@@ -156,6 +558,205 @@ describe('ceych', () => {
     });
   });
 
+  describe('metrics', () => {
+    it('sends metrics labelled with the function to the metrics adapter', async () => {
+      const metrics = new PrometheusMetrics();
+      const ceych = new Ceych({ metrics });
+      const cached = ceych.wrap(sandbox.stub().resolves(1), { name: 'getProgramme' });
+
+      await cached('b00');
+      await cached('b00');
+      await ceych.invalidate({ func: sandbox.stub(), name: 'getProgramme' }, 'b00');
+
+      const text = metrics.metrics();
+      assert.include(text, 'ceych_misses_total{func="getProgramme",suffix=""} 1');
+      assert.include(text, 'ceych_hits_total{func="getProgramme",suffix=""} 1');
+      assert.include(text, 'ceych_calls_total{func="getProgramme",suffix="",result="hit",outcome="success"} 1');
+      assert.include(text, 'ceych_invalidate_total{func="getProgramme",suffix=""} 1');
+    });
+
+    it('prefers the metrics adapter to the StatsD client', async () => {
+      const metrics = new PrometheusMetrics();
+      const statsClient = {
+        increment: sandbox.stub(),
+        timing: sandbox.stub()
+      };
+      const ceych = new Ceych({ metrics, statsClient });
+
+      await ceych.wrap(sandbox.stub().resolves(1))();
+      sinon.assert.notCalled(statsClient.increment);
+      assert.include(metrics.metrics(), 'ceych_misses_total');
+    });
+  });
+
+  describe('tracing', () => {
+    it('creates spans with the tracer given', async () => {
+      const span = {
+        setAttribute: sandbox.stub().returnsThis(),
+        end: sandbox.stub()
+      };
+      const tracer = { startActiveSpan: sandbox.stub().callsFake((name, opts, fn) => fn(span)) };
+      const ceych = new Ceych({ tracer });
+
+      await ceych.wrap(sandbox.stub().resolves(1), { name: 'getProgramme' })();
+      sinon.assert.calledWith(tracer.startActiveSpan, 'ceych.call', { attributes: { 'ceych.function': 'getProgramme' } });
+      sinon.assert.calledWith(tracer.startActiveSpan, 'ceych.fn');
+    });
+  });
+
+  describe('events', () => {
+    let ceych;
+
+    beforeEach(() => {
+      ceych = new Ceych({
+        cacheClient: new Catbox(new CatboxMemory.Engine())
+      });
+    });
+
+    it('emits hit, miss and set events for calls to wrapped functions', async () => {
+      const events = [];
+      for (const type of ['hit', 'miss', 'set']) {
+        ceych.on(type, (event) => events.push(event));
+      }
+      const cached = ceych.wrap(sandbox.stub().resolves(1), { name: 'getProgramme' });
+
+      await cached('b00');
+      await cached('b00');
+      assert.deepEqual(events.map(({ type, func }) => [type, func]), [
+        ['miss', 'getProgramme'],
+        ['set', 'getProgramme'],
+        ['hit', 'getProgramme']
+      ]);
+      assert.strictEqual(events[2].key, events[0].key);
+      assert.strictEqual(events[1].ttl, 30);
+    });
+
+    it('passes every event to the event hook', async () => {
+      const onEvent = sandbox.stub();
+      const ceych = new Ceych({ onEvent });
+      const cached = ceych.wrap(sandbox.stub().resolves(1), { name: 'getProgramme' });
+
+      await cached('b00');
+      sinon.assert.calledWith(onEvent, sinon.match({ type: 'miss', func: 'getProgramme' }));
+      sinon.assert.calledWith(onEvent, sinon.match({ type: 'set', func: 'getProgramme' }));
+    });
+
+    it('only emits error events when there are listeners for them', async () => {
+      const onEvent = sandbox.stub();
+      const cacheClient = new Catbox(new CatboxMemory.Engine());
+      const ceych = new Ceych({ cacheClient, onEvent });
+      sandbox.stub(cacheClient, 'set').rejects(new Error('Cache Error!'));
+      const cached = ceych.wrap(sandbox.stub().resolves(1), { name: 'getProgramme', writeMode: 'background' });
+
+      await cached('b00');
+      await new Promise(setImmediate);
+      sinon.assert.calledWith(onEvent, sinon.match({ type: 'error', operation: 'write' }));
+
+      const listener = sandbox.stub();
+      ceych.on('error', listener);
+      await cached('b01');
+      await new Promise(setImmediate);
+      sinon.assert.calledWith(listener, sinon.match({ type: 'error', operation: 'write' }));
+    });
+
+    it('ignores errors thrown by listeners', async () => {
+      ceych.on('miss', () => {
+        throw new Error('Listener Error!');
+      });
+      const cached = ceych.wrap(sandbox.stub().resolves(1), { name: 'getProgramme' });
+
+      const result = await cached('b00');
+      assert.strictEqual(result, 1);
+    });
+
+    it('emits invalidate events with what was invalidated', async () => {
+      const listener = sandbox.stub();
+      const ceych = new Ceych({ generations: true });
+      const func = () => Promise.resolve(1);
+      ceych.on('invalidate', listener);
+
+      await ceych.invalidate(func, 'b00');
+      await ceych.invalidateTag('programmes');
+      await ceych.invalidateAll(func);
+      await ceych.clear();
+      sinon.assert.calledWith(listener, sinon.match({ scope: 'key', func: 'func', key: sinon.match.string }));
+      sinon.assert.calledWith(listener, { type: 'invalidate', scope: 'tag', tag: 'programmes' });
+      sinon.assert.calledWith(listener, { type: 'invalidate', scope: 'function', func: 'func' });
+      sinon.assert.calledWith(listener, { type: 'invalidate', scope: 'client' });
+    });
+  });
+
+  describe('circuit breaker', () => {
+    let clock;
+
+    beforeEach(() => {
+      clock = sinon.useFakeTimers({ now: 1000000, toFake: ['Date'] });
+    });
+
+    afterEach(() => {
+      clock.restore();
+    });
+
+    it('bypasses the cache after repeated failures and recovers once a probe succeeds', async () => {
+      const statsClient = {
+        increment: sandbox.stub(),
+        timing: sandbox.stub()
+      };
+      const cacheClient = new Catbox(new CatboxMemory.Engine());
+      const ceych = new Ceych({
+        cacheClient,
+        failOpen: true,
+        circuitBreaker: { threshold: 2, resetTimeout: 1000 },
+        statsClient
+      });
+      const get = sandbox.stub(cacheClient, 'get').rejects(new Error('Cache Error!'));
+      const func = sandbox.stub().resolves(1);
+      const cached = ceych.wrap(func);
+
+      await cached();
+      await cached();
+      assert.strictEqual(ceych.circuitBreaker.state, 'open');
+      sinon.assert.calledWith(statsClient.increment, 'ceych.circuit_open');
+
+      await cached();
+      sinon.assert.calledTwice(get);
+      sinon.assert.calledThrice(func);
+
+      get.restore();
+      clock.tick(1000);
+      await cached();
+      assert.strictEqual(ceych.circuitBreaker.state, 'closed');
+      sinon.assert.calledWith(statsClient.increment, 'ceych.circuit_closed');
+    });
+  });
+
+  describe('.wrapBatch', () => {
+    it('caches the result for each id separately', async () => {
+      const ceych = new Ceych({
+        cacheClient: new Catbox(new CatboxMemory.Engine())
+      });
+      const func = sandbox.spy((pids) => Promise.resolve(pids.map((pid) => pid.toUpperCase())));
+      const cached = ceych.wrapBatch(func, { ttl: 60 });
+
+      await cached(['b00', 'b01']);
+      const results = await cached(['b01', 'b02']);
+      assert.deepEqual(results, ['B01', 'B02']);
+      sinon.assert.calledWith(func.secondCall, ['b02']);
+    });
+
+    it('only takes a function', () => {
+      assert.throws(() => ceych.wrapBatch('func'), Error, 'Can only wrap a function, received [func]');
+    });
+
+    it('throws if given an option that does not apply to batches', () => {
+      assert.throws(() => ceych.wrapBatch(wrappable, { staleWhileRevalidate: 60 }), Error, 'Incorrect wrapBatch opts received, staleWhileRevalidate is not a recognised option');
+    });
+
+    it('throws if an option is invalid', () => {
+      assert.throws(() => ceych.wrapBatch(wrappable, { ttl: -1 }), Error, 'Incorrect wrapBatch opts received, ttl must be a number greater than zero');
+    });
+  });
+
   describe('.invalidate', () => {
     it('invalidates the cache entry', async () => {
       const getStub = sandbox.stub().onFirstCall().returns(null)
@@ -185,52 +786,261 @@ describe('ceych', () => {
       sinon.assert.calledTwice(getStub);
       sinon.assert.alwaysCalledWith(getStub, cacheKey);
 
-      ceych.invalidate(wrappable);
-      sinon.assert.calledOnce(cacheClient.drop);
+      ceych.invalidate(wrappable);
+      sinon.assert.calledOnce(cacheClient.drop);
+
+      await func();
+
+      sinon.assert.calledThrice(getStub);
+      sinon.assert.alwaysCalledWith(getStub, cacheKey);
+      sinon.assert.calledTwice(wrappable);
+    });
+
+    it('supports a custom ttl and suffix', async () => {
+      const getStub = sandbox.stub()
+          .onFirstCall().returns(null)
+          .onSecondCall().returns({ item: 1 })
+          .onThirdCall().returns(null);
+      const dropStub = sandbox.stub().resolves();
+
+      const cacheClient = {
+        get: getStub,
+        set: sandbox.stub().resolves(),
+        isReady: sandbox.stub().returns(true),
+        start: sandbox.stub().resolves(),
+        stop: sandbox.stub().resolves(),
+        drop: dropStub
+      };
+
+      const ceych = new Ceych({
+        cacheClient
+      });
+
+      const suffix = 'saywat';
+      const wrappable = sandbox.stub().returns(Promise.resolve(1));
+      const cacheKey = createCacheKey(wrappable, [], suffix);
+      const func = ceych.wrap(wrappable, 20, suffix);
+
+      await func();
+      await func();
+      sinon.assert.calledOnce(wrappable);
+      sinon.assert.calledTwice(getStub);
+      sinon.assert.alwaysCalledWith(getStub, cacheKey);
+
+      await ceych.invalidate({ func: wrappable, suffix });
+      sinon.assert.calledWith(dropStub, cacheKey);
+
+      await func();
+      sinon.assert.calledTwice(wrappable);
+    });
+
+    it('accepts the same options object that was given to wrap', async () => {
+      const cacheClient = {
+        get: sandbox.stub().resolves(null),
+        set: sandbox.stub().resolves(),
+        isReady: sandbox.stub().returns(true),
+        start: sandbox.stub().resolves(),
+        stop: sandbox.stub().resolves(),
+        drop: sandbox.stub().resolves()
+      };
+
+      const ceych = new Ceych({
+        cacheClient
+      });
+
+      const wrapOpts = { ttl: 20, suffix: 'saywat', staleIfError: 60 };
+      const wrappable = sandbox.stub().returns(Promise.resolve(1));
+      const func = ceych.wrap(wrappable, wrapOpts);
+
+      await func('hello');
+      await ceych.invalidate({ func: wrappable, ...wrapOpts }, 'hello');
+      sinon.assert.calledWith(cacheClient.drop, cacheClient.get.firstCall.args[0]);
+    });
+
+    it('builds the same key as wrap when a name and key function are used', async () => {
+      const cacheClient = {
+        get: sandbox.stub().resolves(null),
+        set: sandbox.stub().resolves(),
+        isReady: sandbox.stub().returns(true),
+        start: sandbox.stub().resolves(),
+        stop: sandbox.stub().resolves(),
+        drop: sandbox.stub().resolves()
+      };
+
+      const ceych = new Ceych({
+        cacheClient
+      });
+
+      const wrapOpts = { name: 'loadData', key: (id) => `id-${id}` };
+      const wrappable = sandbox.stub().returns(Promise.resolve(1));
+      const func = ceych.wrap(wrappable, wrapOpts);
+
+      await func(42);
+      await ceych.invalidate({ func: wrappable, ...wrapOpts }, 42);
+      sinon.assert.calledWith(cacheClient.drop, createCacheKey(wrappable, [42], '', wrapOpts));
+      sinon.assert.calledWith(cacheClient.drop, cacheClient.get.firstCall.args[0]);
+    });
+
+    it('builds the same key as wrap with the canonical key serializer', async () => {
+      const cacheClient = {
+        get: sandbox.stub().resolves(null),
+        set: sandbox.stub().resolves(),
+        isReady: sandbox.stub().returns(true),
+        start: sandbox.stub().resolves(),
+        stop: sandbox.stub().resolves(),
+        drop: sandbox.stub().resolves()
+      };
+
+      const ceych = new Ceych({
+        cacheClient,
+        keySerializer: 'canonical'
+      });
+
+      const wrappable = sandbox.stub().returns(Promise.resolve(1));
+      const func = ceych.wrap(wrappable);
+
+      await func({ a: 1, b: 2 });
+      await ceych.invalidate(wrappable, { b: 2, a: 1 });
+      sinon.assert.calledWith(cacheClient.drop, cacheClient.get.firstCall.args[0]);
+    });
+
+    it('clears the entry from the L1 as well as the cache client', async () => {
+      const cacheClient = {
+        get: sandbox.stub().resolves(null),
+        set: sandbox.stub().resolves(),
+        isReady: sandbox.stub().returns(true),
+        start: sandbox.stub().resolves(),
+        stop: sandbox.stub().resolves(),
+        drop: sandbox.stub().resolves()
+      };
+
+      const ceych = new Ceych({
+        cacheClient,
+        l1: {}
+      });
+
+      const wrappable = sandbox.stub().returns(Promise.resolve(1));
+      const func = ceych.wrap(wrappable);
+
+      await func();
+      assert.strictEqual(ceych.l1.size, 1);
+
+      await ceych.invalidate(wrappable);
+      assert.strictEqual(ceych.l1.size, 0);
+      sinon.assert.calledOnce(cacheClient.drop);
+
+      await func();
+      sinon.assert.calledTwice(wrappable);
+    });
+
+    describe('with a broadcast', () => {
+      function createCacheClient() {
+        return {
+          get: sandbox.stub().resolves(null),
+          set: sandbox.stub().resolves(),
+          isReady: sandbox.stub().returns(true),
+          start: sandbox.stub().resolves(),
+          stop: sandbox.stub().resolves(),
+          drop: sandbox.stub().resolves()
+        };
+      }
+
+      it('publishes the key of the invalidated entry', async () => {
+        const broadcast = new InProcessBroadcast();
+        const handler = sandbox.stub();
+        broadcast.subscribe(handler);
+
+        const ceych = new Ceych({
+          cacheClient: createCacheClient(),
+          broadcast
+        });
+
+        const wrappable = sandbox.stub().returns(Promise.resolve(1));
+        await ceych.invalidate(wrappable, 'hello');
+
+        sinon.assert.calledWith(handler, {
+          type: 'invalidate',
+          key: createCacheKey(wrappable, ['hello'], '')
+        });
+      });
+
+      it('evicts entries invalidated by other clients from the L1', async () => {
+        const broadcast = new InProcessBroadcast();
+        const cacheClient = createCacheClient();
+        const first = new Ceych({ cacheClient, l1: {}, broadcast });
+        const second = new Ceych({ cacheClient, l1: {}, broadcast });
+
+        const wrappable = sandbox.stub().returns(Promise.resolve(1));
+        await first.wrap(wrappable)();
+        await second.wrap(wrappable)();
+        assert.strictEqual(second.l1.size, 1);
+
+        await first.invalidate(wrappable);
+        assert.strictEqual(first.l1.size, 0);
+        assert.strictEqual(second.l1.size, 0);
+      });
+
+      it('publishes the invalidation once the entry has been dropped', async () => {
+        const broadcast = new InProcessBroadcast();
+        const cacheClient = createCacheClient();
+        let dropped;
+        cacheClient.drop.returns(new Promise((resolve) => {
+          dropped = resolve;
+        }));
+        sandbox.spy(broadcast, 'publish');
+        const ceych = new Ceych({ cacheClient, broadcast });
+
+        const invalidating = ceych.invalidate(wrappable, 'hello');
+        await new Promise(setImmediate);
+        sinon.assert.notCalled(broadcast.publish);
+
+        dropped();
+        await invalidating;
+        sinon.assert.calledOnce(broadcast.publish);
+      });
 
-      await func();
+      it('ignores messages it does not recognise', () => {
+        const broadcast = new InProcessBroadcast();
+        const ceych = new Ceych({ cacheClient: createCacheClient(), l1: {}, broadcast });
+        ceych.l1.set({ segment: 'ceych', id: 'a' }, 1);
 
-      sinon.assert.calledThrice(getStub);
-      sinon.assert.alwaysCalledWith(getStub, cacheKey);
-      sinon.assert.calledTwice(wrappable);
+        broadcast.publish({ type: 'unknown', key: { segment: 'ceych', id: 'a' } });
+        broadcast.publish(null);
+        assert.strictEqual(ceych.l1.size, 1);
+      });
+
+      it('returns an error if publishing fails', async () => {
+        const broadcast = {
+          publish: sandbox.stub().rejects(new Error('PUBLISH Error!')),
+          subscribe: sandbox.stub()
+        };
+        const ceych = new Ceych({ cacheClient: createCacheClient(), broadcast });
+
+        try {
+          await ceych.invalidate(sandbox.stub());
+        } catch (err) {
+          return assert.strictEqual(err.message, 'PUBLISH Error!');
+        }
+        assert.fail('Expected error to be returned!');
+      });
     });
 
-    it('supports a custom ttl and suffix', async () => {
-      const getStub = sandbox.stub()
-          .onFirstCall().returns(null)
-          .onSecondCall().returns({ item: 1 })
-          .onThirdCall().returns(null);
-      const dropStub = sandbox.stub().resolves();
+    it('throws if the options contain an invalid value', () => {
+      assert.throws(() => {
+        ceych.invalidate({ func: wrappable, suffix: 1 });
+      }, Error, 'Incorrect invalidate opts received, opts.suffix must be a string.');
+    });
 
+    it('ignores keys in the options that are not wrap options', async () => {
       const cacheClient = {
-        get: getStub,
-        set: sandbox.stub().resolves(),
         isReady: sandbox.stub().returns(true),
         start: sandbox.stub().resolves(),
-        stop: sandbox.stub().resolves(),
-        drop: dropStub
+        drop: sandbox.stub().resolves()
       };
+      const ceych = new Ceych({ cacheClient });
 
-      const ceych = new Ceych({
-        cacheClient
-      });
-
-      const suffix = 'saywat';
-      const wrappable = sandbox.stub().returns(Promise.resolve(1));
-      const cacheKey = createCacheKey(wrappable, [], suffix);
-      const func = ceych.wrap(wrappable, 20, suffix);
-
-      await func();
-      await func();
-      sinon.assert.calledOnce(wrappable);
-      sinon.assert.calledTwice(getStub);
-      sinon.assert.alwaysCalledWith(getStub, cacheKey);
-
-      await ceych.invalidate({ func: wrappable, suffix });
-      sinon.assert.calledWith(dropStub, cacheKey);
-
-      await func();
-      sinon.assert.calledTwice(wrappable);
+      await ceych.invalidate({ func: wrappable, suffix: 'saywat', somethingElse: true });
+      sinon.assert.calledWith(cacheClient.drop, createCacheKey(wrappable, [], 'saywat'));
     });
 
     it('does not affect other cache keys of the same function', async () => {
@@ -357,6 +1167,713 @@ describe('ceych', () => {
     });
   });
 
+  describe('.invalidateTag', () => {
+    let ceych;
+
+    beforeEach(() => {
+      ceych = new Ceych({
+        cacheClient: new Catbox(new CatboxMemory.Engine())
+      });
+    });
+
+    it('invalidates every entry with the tag across wrapped functions', async () => {
+      const first = sandbox.stub().resolves(1);
+      const second = sandbox.stub().resolves(2);
+      const firstCached = ceych.wrap(first, { tags: ['programme'] });
+      const secondCached = ceych.wrap(second, { tags: (result, args) => [`programme:${args[0]}`, 'programme'] });
+
+      await firstCached();
+      await secondCached('b00');
+      await firstCached();
+      await secondCached('b00');
+      sinon.assert.calledOnce(first);
+      sinon.assert.calledOnce(second);
+
+      await ceych.invalidateTag('programme');
+
+      await firstCached();
+      await secondCached('b00');
+      sinon.assert.calledTwice(first);
+      sinon.assert.calledTwice(second);
+    });
+
+    it('does not affect entries without the tag', async () => {
+      const tagged = sandbox.stub().resolves(1);
+      const untagged = sandbox.stub().resolves(2);
+      const taggedCached = ceych.wrap(tagged, { tags: (result, args) => [`programme:${args[0]}`] });
+      const untaggedCached = ceych.wrap(untagged);
+
+      await taggedCached('b00');
+      await taggedCached('b01');
+      await untaggedCached();
+
+      await ceych.invalidateTag('programme:b00');
+
+      await taggedCached('b00');
+      await taggedCached('b01');
+      await untaggedCached();
+      assert.strictEqual(tagged.getCalls().filter((call) => call.args[0] === 'b00').length, 2);
+      assert.strictEqual(tagged.getCalls().filter((call) => call.args[0] === 'b01').length, 1);
+      sinon.assert.calledOnce(untagged);
+    });
+
+    it('invalidates the results of calls that were in flight when the tag was invalidated', async () => {
+      let finish;
+      const func = sandbox.stub().callsFake(() => new Promise((resolve) => {
+        finish = resolve;
+      }));
+      const cached = ceych.wrap(func, { tags: ['programme'] });
+      await ceych.invalidateTag('programme');
+
+      const call = cached();
+      while (!finish) {
+        await new Promise(setImmediate);
+      }
+      await ceych.invalidateTag('programme');
+      finish('before');
+      await call;
+
+      func.callsFake(() => Promise.resolve('after'));
+      assert.strictEqual(await cached(), 'after');
+    });
+
+    it('does not cache results whose computed tags were invalidated while they were in flight', async () => {
+      let finish;
+      const func = sandbox.stub().callsFake(() => new Promise((resolve) => {
+        finish = resolve;
+      }));
+      const cached = ceych.wrap(func, { tags: () => ['programme'] });
+      await ceych.invalidateTag('programme');
+
+      const call = cached();
+      while (!finish) {
+        await new Promise(setImmediate);
+      }
+      await ceych.invalidateTag('programme');
+      finish('before');
+      await call;
+
+      func.callsFake(() => Promise.resolve('after'));
+      assert.strictEqual(await cached(), 'after');
+    });
+
+    it('reads nothing from the cache client for L1 hits, including versions', async () => {
+      const cacheClient = new Catbox(new CatboxMemory.Engine());
+      const ceych = new Ceych({ cacheClient, l1: {}, generations: true });
+      const func = sandbox.stub().resolves(1);
+      const cached = ceych.wrap(func, { tags: ['programme', 'brand'] });
+      await cached();
+
+      sandbox.spy(cacheClient, 'get');
+      assert.strictEqual(await cached(), 1);
+      sinon.assert.notCalled(cacheClient.get);
+      sinon.assert.calledOnce(func);
+    });
+
+    it('evicts the versions of tags invalidated by other clients from the L1', async () => {
+      const broadcast = new InProcessBroadcast();
+      const cacheClient = new Catbox(new CatboxMemory.Engine());
+      const first = new Ceych({ cacheClient, l1: {}, broadcast });
+      const second = new Ceych({ cacheClient, l1: {}, broadcast });
+      const func = sandbox.stub().resolves(1);
+      const cached = first.wrap(func, { tags: ['programme'] });
+
+      await cached();
+      await second.invalidateTag('programme');
+      await cached();
+      sinon.assert.calledTwice(func);
+    });
+
+    it('uses a result another client has cached since the tag was invalidated over the copy in its L1', async () => {
+      const broadcast = new InProcessBroadcast();
+      const cacheClient = new Catbox(new CatboxMemory.Engine());
+      const first = new Ceych({ cacheClient, l1: {}, broadcast });
+      const second = new Ceych({ cacheClient, l1: {}, broadcast });
+      let calls = 0;
+      const func = () => Promise.resolve(++calls);
+      const firstCached = first.wrap(func, { tags: ['programme'] });
+      const secondCached = second.wrap(func, { tags: ['programme'] });
+
+      await firstCached();
+      assert.strictEqual(await secondCached(), 1);
+      await first.invalidateTag('programme');
+      assert.strictEqual(await firstCached(), 2);
+      assert.strictEqual(await secondCached(), 2);
+      assert.strictEqual(calls, 2);
+    });
+
+    it('increments a metric for tag invalidation', async () => {
+      const statsClient = {
+        increment: sandbox.stub(),
+        timing: sandbox.stub()
+      };
+      const ceych = new Ceych({
+        cacheClient: new Catbox(new CatboxMemory.Engine()),
+        statsClient
+      });
+
+      await ceych.invalidateTag('programme');
+      sinon.assert.calledWith(statsClient.increment, 'ceych.invalidate_tag');
+    });
+
+    it('labels the tag invalidation metric with the tag', async () => {
+      const metrics = new PrometheusMetrics();
+      const ceych = new Ceych({
+        cacheClient: new Catbox(new CatboxMemory.Engine()),
+        metrics
+      });
+
+      await ceych.invalidateTag('programme');
+      assert.include(metrics.metrics(), 'ceych_invalidate_tag_total{tag="programme"} 1');
+    });
+
+    it('returns an error if the tag is not a non-empty string', async () => {
+      try {
+        await ceych.invalidateTag('');
+      } catch (err) {
+        return assert.strictEqual(err.message, 'Incorrect invalidateTag opts received, tag must be a non-empty string.');
+      }
+      assert.fail('Expected error to be returned!');
+    });
+  });
+
+  describe('.invalidateAll', () => {
+    let ceych;
+
+    beforeEach(() => {
+      ceych = new Ceych({
+        cacheClient: new Catbox(new CatboxMemory.Engine()),
+        generations: true
+      });
+    });
+
+    it('starts one generation when functions are first called concurrently', async () => {
+      const funcs = ['a', 'b', 'c', 'd'].map((name) => sandbox.stub().named(name).resolves(name));
+      const cached = funcs.map((func, i) => ceych.wrap(func, { name: `func${i}` }));
+
+      await Promise.all(cached.map((func) => func()));
+      await Promise.all(cached.map((func) => func()));
+
+      funcs.forEach((func) => sinon.assert.calledOnce(func));
+    });
+
+    it('evicts generations started by other clients from the L1', async () => {
+      const broadcast = new InProcessBroadcast();
+      const cacheClient = new Catbox(new CatboxMemory.Engine());
+      const first = new Ceych({ cacheClient, l1: {}, broadcast, generations: true });
+      const second = new Ceych({ cacheClient, l1: {}, broadcast, generations: true });
+      const func = sandbox.stub().resolves(1);
+      const cached = first.wrap(func);
+
+      await cached();
+      await second.invalidateAll(func);
+      await cached();
+      sinon.assert.calledTwice(func);
+    });
+
+    it('invalidates every entry of the function', async () => {
+      const func = sandbox.stub().resolves(1);
+      const cached = ceych.wrap(func);
+
+      await cached('b00');
+      await cached('b01');
+      await ceych.invalidateAll(func);
+      await cached('b00');
+      await cached('b01');
+
+      assert.strictEqual(func.getCalls().filter((call) => call.args[0] === 'b00').length, 2);
+      assert.strictEqual(func.getCalls().filter((call) => call.args[0] === 'b01').length, 2);
+    });
+
+    it('does not affect other functions or suffixes', async () => {
+      const func = sandbox.stub().resolves(1);
+      const other = sandbox.stub().resolves(2);
+      const cached = ceych.wrap(func);
+      const suffixed = ceych.wrap(func, { suffix: 'suffix' });
+      const otherCached = ceych.wrap(other, { name: 'other' });
+
+      await cached();
+      await suffixed();
+      await otherCached();
+      await ceych.invalidateAll({ func, suffix: 'suffix' });
+      await cached();
+      await suffixed();
+      await otherCached();
+
+      sinon.assert.calledThrice(func);
+      sinon.assert.calledOnce(other);
+    });
+
+    it('still invalidates single entries', async () => {
+      const func = sandbox.stub().resolves(1);
+      const cached = ceych.wrap(func);
+
+      await cached('b00');
+      await cached('b01');
+      await ceych.invalidate(func, 'b00');
+      await cached('b00');
+      await cached('b01');
+
+      sinon.assert.calledThrice(func);
+    });
+
+    it('increments a metric', async () => {
+      const statsClient = {
+        increment: sandbox.stub(),
+        timing: sandbox.stub()
+      };
+      const ceych = new Ceych({
+        generations: true,
+        statsClient
+      });
+
+      await ceych.invalidateAll(wrappable);
+      sinon.assert.calledWith(statsClient.increment, 'ceych.invalidate_all');
+    });
+
+    it('returns an error if generations are not enabled', async () => {
+      try {
+        await new Ceych().invalidateAll(wrappable);
+      } catch (err) {
+        return assert.strictEqual(err.message, 'invalidateAll requires the client to be created with generations enabled');
+      }
+      assert.fail('Expected error to be returned!');
+    });
+  });
+
+  describe('.clear', () => {
+    it('invalidates every entry written by the client', async () => {
+      const ceych = new Ceych({
+        cacheClient: new Catbox(new CatboxMemory.Engine()),
+        generations: true,
+        l1: {}
+      });
+      const first = sandbox.stub().resolves(1);
+      const second = sandbox.stub().resolves(2);
+      const firstCached = ceych.wrap(first);
+      const secondCached = ceych.wrap(second, { name: 'second' });
+
+      await firstCached();
+      await secondCached();
+      await ceych.clear();
+      assert.strictEqual(ceych.l1.size, 0);
+      await firstCached();
+      await secondCached();
+
+      sinon.assert.calledTwice(first);
+      sinon.assert.calledTwice(second);
+    });
+
+    it('returns an error if generations are not enabled', async () => {
+      try {
+        await new Ceych().clear();
+      } catch (err) {
+        return assert.strictEqual(err.message, 'clear requires the client to be created with generations enabled');
+      }
+      assert.fail('Expected error to be returned!');
+    });
+  });
+
+  describe('.get', () => {
+    let ceych;
+
+    beforeEach(() => {
+      ceych = new Ceych({
+        cacheClient: new Catbox(new CatboxMemory.Engine())
+      });
+    });
+
+    it('returns the cached result of a call without calling the function', async () => {
+      const func = sandbox.stub().resolves({ pid: 'b00' });
+      await ceych.wrap(func)('b00');
+
+      const result = await ceych.get(func, 'b00');
+      assert.deepEqual(result, { pid: 'b00' });
+      sinon.assert.calledOnce(func);
+    });
+
+    it('returns undefined when the call is not cached', async () => {
+      const result = await ceych.get(wrappable, 'b00');
+      assert.isUndefined(result);
+    });
+
+    it('decodes results with the codec the function was wrapped with', async () => {
+      const func = sandbox.stub().resolves(new Date(0));
+      await ceych.wrap(func, { codec: 'structured' })();
+
+      const result = await ceych.get({ func, codec: 'structured' });
+      assert.instanceOf(result, Date);
+    });
+
+    it('rethrows a cached error', async () => {
+      const func = sandbox.stub().rejects(new Error('Not found'));
+      const cached = ceych.wrap(func, { errorTTL: 5 });
+      await cached().catch(() => {});
+
+      try {
+        await ceych.get({ func, errorTTL: 5 });
+      } catch (err) {
+        return assert.strictEqual(err.message, 'Not found');
+      }
+      assert.fail('Expected error to be returned!');
+    });
+
+    it('returns an error if the options are invalid', async () => {
+      try {
+        await ceych.get({});
+      } catch (err) {
+        return assert.strictEqual(err.message, 'Incorrect get opts received, opts.func must be a function.');
+      }
+      assert.fail('Expected error to be returned!');
+    });
+  });
+
+  describe('.set', () => {
+    let ceych;
+
+    beforeEach(() => {
+      ceych = new Ceych({
+        cacheClient: new Catbox(new CatboxMemory.Engine())
+      });
+    });
+
+    it('caches a result that the wrapped function then returns', async () => {
+      const func = sandbox.stub().resolves('computed');
+      const cached = ceych.wrap(func, { suffix: 'suffix' });
+
+      await ceych.set({ func, suffix: 'suffix' }, 'seeded', 'b00');
+
+      const result = await cached('b00');
+      assert.strictEqual(result, 'seeded');
+      sinon.assert.notCalled(func);
+    });
+
+    it('caches the result for the TTL given in the options', async () => {
+      await ceych.set({ func: wrappable, ttl: 60 }, 1);
+
+      const ttl = await ceych.ttl(wrappable);
+      assert.closeTo(ttl, 60, 1);
+    });
+
+    it('waits for the result to be cached when the client writes in the background', async () => {
+      const ceych = new Ceych({ writeMode: 'background' });
+
+      await ceych.set(wrappable, 1);
+      assert.isTrue(await ceych.has(wrappable));
+    });
+
+    it('publishes the key so that other clients evict it from their L1', async () => {
+      const broadcast = new InProcessBroadcast();
+      const publish = sandbox.spy(broadcast, 'publish');
+      const ceych = new Ceych({ broadcast });
+
+      await ceych.set(wrappable, 1);
+      sinon.assert.calledWith(publish, sinon.match({ type: 'invalidate' }));
+    });
+
+    it('returns an error if the options are invalid', async () => {
+      try {
+        await ceych.set({ func: wrappable, ttl: 'long' }, 1);
+      } catch (err) {
+        return assert.strictEqual(err.message, 'Incorrect set opts received, opts.ttl must be a number greater than zero.');
+      }
+      assert.fail('Expected error to be returned!');
+    });
+  });
+
+  describe('.has', () => {
+    let ceych;
+
+    beforeEach(() => {
+      ceych = new Ceych({
+        cacheClient: new Catbox(new CatboxMemory.Engine())
+      });
+    });
+
+    it('returns true when a call is cached', async () => {
+      const func = sandbox.stub().resolves(null);
+      await ceych.wrap(func)('b00');
+
+      assert.isTrue(await ceych.has(func, 'b00'));
+      assert.isFalse(await ceych.has(func, 'b01'));
+    });
+
+    it('returns false once the entry has been invalidated by a tag', async () => {
+      const func = sandbox.stub().resolves(1);
+      await ceych.wrap(func, { tags: ['programme'] })();
+      await ceych.invalidateTag('programme');
+
+      assert.isFalse(await ceych.has({ func, tags: ['programme'] }));
+    });
+  });
+
+  describe('.ttl', () => {
+    let ceych;
+    let clock;
+
+    beforeEach(() => {
+      clock = sinon.useFakeTimers({ now: 1000000, toFake: ['Date'] });
+      ceych = new Ceych({
+        cacheClient: new Catbox(new CatboxMemory.Engine())
+      });
+    });
+
+    afterEach(() => {
+      clock.restore();
+    });
+
+    it('returns the seconds left before the cached result expires', async () => {
+      const func = sandbox.stub().resolves(1);
+      await ceych.wrap(func, { ttl: 60 })();
+      clock.tick(15000);
+
+      assert.strictEqual(await ceych.ttl(func), 45);
+    });
+
+    it('returns 0 when the call is not cached', async () => {
+      assert.strictEqual(await ceych.ttl(wrappable, 'b00'), 0);
+    });
+  });
+
+  describe('.warm', () => {
+    let ceych;
+
+    beforeEach(() => {
+      ceych = new Ceych({
+        cacheClient: new Catbox(new CatboxMemory.Engine())
+      });
+    });
+
+    it('calls the function for each set of arguments and caches the results', async () => {
+      const func = sandbox.stub().callsFake(async (pid) => `programme ${pid}`);
+      const cached = ceych.wrap(func);
+
+      const report = await ceych.warm(cached, [['b00'], ['b01']]);
+      assert.deepEqual(report.map(({ args, status }) => ({ args, status })), [
+        { args: ['b00'], status: 'warmed' },
+        { args: ['b01'], status: 'warmed' }
+      ]);
+
+      assert.strictEqual(await cached('b01'), 'programme b01');
+      sinon.assert.calledTwice(func);
+    });
+
+    it('reports the key of each call', async () => {
+      const cached = ceych.wrap(sandbox.stub().resolves(1), { name: 'func' });
+
+      const [entry] = await ceych.warm(cached, [['b00']]);
+      assert.strictEqual(entry.key, createCacheKey(null, ['b00'], '', { name: 'func' }).id);
+    });
+
+    it('skips calls whose results are already fresh', async () => {
+      const func = sandbox.stub().resolves(1);
+      const cached = ceych.wrap(func);
+      await cached('b00');
+
+      const report = await ceych.warm(cached, [['b00'], ['b01']]);
+      assert.deepEqual(report.map(({ status }) => status), ['skipped', 'warmed']);
+      sinon.assert.calledTwice(func);
+    });
+
+    it('reports calls that fail without stopping the others', async () => {
+      const err = new Error('Not found');
+      const func = sandbox.stub().resolves(1);
+      func.withArgs('b00').rejects(err);
+
+      const report = await ceych.warm(ceych.wrap(func), [['b00'], ['b01']]);
+      assert.strictEqual(report[0].status, 'failed');
+      assert.strictEqual(report[0].error, err);
+      assert.strictEqual(report[1].status, 'warmed');
+    });
+
+    it('makes no more calls at once than the concurrency', async () => {
+      let running = 0;
+      let most = 0;
+      const func = async () => {
+        running++;
+        most = Math.max(most, running);
+        await new Promise(setImmediate);
+        running--;
+      };
+
+      await ceych.warm(ceych.wrap(func), [[1], [2], [3], [4], [5]], { concurrency: 2 });
+      assert.strictEqual(most, 2);
+    });
+
+    it('accepts the unwrapped function and options accepted by invalidate', async () => {
+      const func = sandbox.stub().resolves(1);
+      const cached = ceych.wrap(func, { suffix: 'suffix' });
+
+      await ceych.warm({ func, suffix: 'suffix' }, [['b00']]);
+      await cached('b00');
+      sinon.assert.calledOnce(func);
+    });
+
+    it('throws if the list of arguments is not an array of arrays', async () => {
+      try {
+        await ceych.warm(wrappable, ['b00']);
+      } catch (err) {
+        return assert.strictEqual(err.message, 'Incorrect warm opts received, argsList must be an array of arrays of arguments.');
+      }
+      assert.fail('Expected error to be returned!');
+    });
+
+    it('throws if the concurrency is not an integer greater than zero', async () => {
+      try {
+        await ceych.warm(wrappable, [], { concurrency: 0 });
+      } catch (err) {
+        return assert.strictEqual(err.message, 'Incorrect warm opts received, concurrency must be an integer greater than zero.');
+      }
+      assert.fail('Expected error to be returned!');
+    });
+
+    it('throws if given a function returned by wrapBatch', async () => {
+      const cached = ceych.wrapBatch(sandbox.stub().resolves([1]));
+
+      try {
+        await ceych.warm(cached, [[['b00']]]);
+      } catch (err) {
+        return assert.strictEqual(err.message, 'Incorrect warm opts received, functions returned by wrapBatch cannot be warmed. Call them with the ids to warm instead.');
+      }
+      assert.fail('Expected error to be returned!');
+    });
+  });
+
+  describe('.listWrapped', () => {
+    it('lists the wrapped functions with how they cache their results', () => {
+      const ceych = new Ceych({ staleIfError: 60 });
+
+      ceych.wrap(sandbox.stub(), { name: 'getProgramme', ttl: 10, suffix: 'v2' });
+      ceych.wrapBatch(sandbox.stub(), { name: 'getProgrammes' });
+
+      assert.deepEqual(ceych.listWrapped(), [
+        {
+          name: 'getProgramme',
+          suffix: 'v2',
+          batch: false,
+          ttl: 10,
+          staleWhileRevalidate: 0,
+          staleIfError: 60,
+          earlyRefresh: 0,
+          writeMode: 'await'
+        },
+        {
+          name: 'getProgrammes',
+          suffix: '',
+          batch: true,
+          ttl: 30,
+          staleWhileRevalidate: 0,
+          staleIfError: 0,
+          earlyRefresh: 0,
+          writeMode: 'await'
+        }
+      ]);
+    });
+
+    it('lists a function once however often it is wrapped', () => {
+      const ceych = new Ceych();
+
+      for (let i = 0; i < 10000; i++) {
+        ceych.wrap(() => Promise.resolve(i), { ttl: i + 1 });
+      }
+      ceych.wrap(() => Promise.resolve(), { suffix: 'other' });
+
+      const listed = ceych.listWrapped();
+      assert.lengthOf(listed, 2);
+      assert.strictEqual(listed[0].ttl, 10000);
+      assert.strictEqual(ceych.registered.size, 2);
+    });
+  });
+
+  describe('.getStats', () => {
+    it('returns the stats of each wrapped function', async () => {
+      const ceych = new Ceych({ countBytes: true });
+      const getProgramme = ceych.wrap(sandbox.stub().resolves({ pid: 'b00' }), { name: 'getProgramme' });
+      ceych.wrap(sandbox.stub(), { name: 'getEpisode' });
+
+      await getProgramme('b00');
+      await getProgramme('b00');
+      await getProgramme('b01');
+
+      const [programmeStats, episodeStats] = ceych.getStats();
+      assert.include(programmeStats, {
+        name: 'getProgramme',
+        suffix: '',
+        hits: 1,
+        misses: 2,
+        errors: 0,
+        inFlight: 0,
+        bytesWritten: 26
+      });
+      assert.closeTo(programmeStats.hitRatio, 1 / 3, 0.001);
+      assert.isNumber(programmeStats.readLatency.p95);
+      assert.isNumber(programmeStats.writeLatency.mean);
+      assert.include(episodeStats, { name: 'getEpisode', hits: 0, misses: 0, hitRatio: null });
+    });
+
+    it('does not measure results unless the client counts bytes', async () => {
+      sandbox.spy(envelope, 'size');
+      const ceych = new Ceych();
+      const getProgramme = ceych.wrap(sandbox.stub().resolves({ pid: 'b00' }), { name: 'getProgramme' });
+
+      await getProgramme('b00');
+      sinon.assert.notCalled(envelope.size);
+      assert.isNull(ceych.getStats()[0].bytesWritten);
+    });
+
+    it('keeps separate stats for closures from the same factory given different names', async () => {
+      const ceych = new Ceych();
+      const create = (pid) => () => Promise.resolve(pid);
+      const first = ceych.wrap(create('b00'), { name: 'getB00' });
+      const second = ceych.wrap(create('b01'), { name: 'getB01' });
+
+      await first();
+      await first();
+      await second();
+
+      assert.deepEqual(ceych.getStats().map(({ name, hits, misses }) => ({ name, hits, misses })), [
+        { name: 'getB00', hits: 1, misses: 1 },
+        { name: 'getB01', hits: 0, misses: 1 }
+      ]);
+    });
+
+    it('combines the stats of every copy of a function', async () => {
+      const ceych = new Ceych();
+      const first = ceych.wrap(sandbox.stub().resolves(1), { name: 'getProgramme' });
+      const second = ceych.wrap(sandbox.stub().resolves(1), { name: 'getProgramme' });
+
+      await first('b00');
+      await second('b00');
+
+      assert.lengthOf(ceych.getStats(), 1);
+      assert.include(ceych.getStats()[0], { hits: 1, misses: 1 });
+    });
+
+    it('counts calls in flight', async () => {
+      const ceych = new Ceych();
+      let resolve;
+      const cached = ceych.wrap(() => new Promise((r) => {
+        resolve = r;
+      }), { name: 'getProgramme' });
+
+      const pending = cached('b00');
+      await new Promise(setImmediate);
+      assert.strictEqual(ceych.getStats()[0].inFlight, 1);
+
+      resolve(1);
+      await pending;
+      assert.strictEqual(ceych.getStats()[0].inFlight, 0);
+    });
+
+    it('counts failed calls as errors', async () => {
+      const ceych = new Ceych();
+      const cached = ceych.wrap(sandbox.stub().rejects(new Error('Upstream Error!')), { name: 'getProgramme' });
+
+      await cached('b00').catch(() => {});
+      assert.strictEqual(ceych.getStats()[0].errors, 1);
+    });
+  });
+
   describe('.disableCache', () => {
     beforeEach(() => {
       sandbox.stub(hash, 'create').returns('hashed');
@@ -0,0 +1,97 @@
+'use strict';
+
+const assert = require('chai').assert;
+const sinon = require('sinon');
+
+const { CircuitBreaker } = require('../../lib/circuit-breaker');
+
+describe('CircuitBreaker', () => {
+  let clock;
+  let onChange;
+  let breaker;
+
+  beforeEach(() => {
+    clock = sinon.useFakeTimers(1000000);
+    onChange = sinon.stub();
+    breaker = new CircuitBreaker({ threshold: 2, resetTimeout: 1000 }, onChange);
+  });
+
+  afterEach(() => {
+    clock.restore();
+  });
+
+  function open() {
+    breaker.failure();
+    breaker.failure();
+  }
+
+  it('allows calls while closed', () => {
+    assert.strictEqual(breaker.state, 'closed');
+    assert.isTrue(breaker.allowRequest());
+  });
+
+  it('opens after the threshold of failures in a row', () => {
+    breaker.failure();
+    assert.strictEqual(breaker.state, 'closed');
+
+    breaker.failure();
+    assert.strictEqual(breaker.state, 'open');
+    assert.isFalse(breaker.allowRequest());
+    sinon.assert.calledWith(onChange, 'open');
+  });
+
+  it('does not count failures before a success', () => {
+    breaker.failure();
+    breaker.success();
+    breaker.failure();
+    assert.strictEqual(breaker.state, 'closed');
+  });
+
+  it('lets one probe through once the reset timeout has passed', () => {
+    open();
+    clock.tick(1000);
+
+    assert.isTrue(breaker.allowRequest());
+    assert.strictEqual(breaker.state, 'half-open');
+    assert.isFalse(breaker.allowRequest());
+    sinon.assert.calledWith(onChange, 'half-open');
+  });
+
+  it('closes when the probe succeeds', () => {
+    open();
+    clock.tick(1000);
+    breaker.allowRequest();
+
+    breaker.success();
+    assert.strictEqual(breaker.state, 'closed');
+    sinon.assert.calledWith(onChange, 'closed');
+  });
+
+  it('opens again when the probe fails', () => {
+    open();
+    clock.tick(1000);
+    breaker.allowRequest();
+
+    breaker.failure();
+    assert.strictEqual(breaker.state, 'open');
+    assert.isFalse(breaker.allowRequest());
+  });
+
+  it('starts another probe when one has not settled within the reset timeout', () => {
+    open();
+    clock.tick(1000);
+    breaker.allowRequest();
+
+    clock.tick(1000);
+    assert.isTrue(breaker.allowRequest());
+  });
+
+  describe('.isOptions', () => {
+    it('accepts true or an object of numbers greater than zero', () => {
+      assert.isTrue(CircuitBreaker.isOptions(true));
+      assert.isTrue(CircuitBreaker.isOptions({ threshold: 3, resetTimeout: 500 }));
+      assert.isFalse(CircuitBreaker.isOptions({ threshold: 0 }));
+      assert.isFalse(CircuitBreaker.isOptions('yes'));
+    });
+  });
+});
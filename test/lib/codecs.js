@@ -0,0 +1,127 @@
+'use strict';
+
+const assert = require('chai').assert;
+
+const codecs = require('../../lib/codecs');
+
+// Encodes and decodes a value the way it would be if stored in a remote cache
+function roundTrip(codec, value) {
+  return codec.decode(JSON.parse(JSON.stringify(codec.encode(value))));
+}
+
+describe('codecs', () => {
+  describe('json', () => {
+    it('leaves values unchanged', () => {
+      const value = { a: [1, 'two'] };
+      assert.strictEqual(codecs.json.encode(value), value);
+      assert.strictEqual(codecs.json.decode(value), value);
+    });
+  });
+
+  describe('structured', () => {
+    const { structured } = codecs;
+
+    it('round trips plain JSON values', () => {
+      const value = { a: [1, 'two', true, null], b: { c: 3.5 } };
+      assert.deepEqual(roundTrip(structured, value), value);
+    });
+
+    it('round trips Dates', () => {
+      const value = roundTrip(structured, { at: new Date('2020-01-01T00:00:00.000Z') });
+      assert.instanceOf(value.at, Date);
+      assert.strictEqual(value.at.toISOString(), '2020-01-01T00:00:00.000Z');
+    });
+
+    it('round trips Maps and Sets', () => {
+      const value = roundTrip(structured, [new Map([['a', new Set([1, 2])]]), new Set(['b'])]);
+      assert.instanceOf(value[0], Map);
+      assert.deepEqual(Array.from(value[0].get('a')), [1, 2]);
+      assert.instanceOf(value[1], Set);
+      assert.isTrue(value[1].has('b'));
+    });
+
+    it('round trips Buffers', () => {
+      const value = roundTrip(structured, Buffer.from('hello'));
+      assert.isTrue(Buffer.isBuffer(value));
+      assert.strictEqual(value.toString(), 'hello');
+    });
+
+    it('round trips BigInts', () => {
+      assert.strictEqual(roundTrip(structured, 12345678901234567890n), 12345678901234567890n);
+    });
+
+    it('round trips undefined, non-finite numbers and -0', () => {
+      const value = roundTrip(structured, [undefined, NaN, Infinity, -Infinity, -0]);
+      assert.strictEqual(value[0], undefined);
+      assert.isNaN(value[1]);
+      assert.strictEqual(value[2], Infinity);
+      assert.strictEqual(value[3], -Infinity);
+      assert.isTrue(Object.is(value[4], -0));
+    });
+
+    it('round trips RegExps and Errors', () => {
+      const [regexp, error] = roundTrip(structured, [/ab+c/gi, new TypeError('bad')]);
+      assert.strictEqual(String(regexp), '/ab+c/gi');
+      assert.instanceOf(error, Error);
+      assert.strictEqual(error.name, 'TypeError');
+      assert.strictEqual(error.message, 'bad');
+    });
+
+    it('round trips objects that use the tag property themselves', () => {
+      const value = { $ceych: 'Date', value: 'not a date' };
+      assert.deepEqual(roundTrip(structured, value), value);
+    });
+
+    it('throws when a value contains a function', () => {
+      assert.throws(() => {
+        structured.encode({ callback: () => {} });
+      }, Error, 'Cannot encode a function');
+    });
+
+    it('throws when a value contains a circular reference', () => {
+      const value = {};
+      value.self = value;
+      assert.throws(() => {
+        structured.encode(value);
+      }, Error, 'Cannot encode a circular reference');
+    });
+  });
+
+  describe('.isCodec', () => {
+    it('accepts the names of built-in codecs', () => {
+      assert.isTrue(codecs.isCodec('json'));
+      assert.isTrue(codecs.isCodec('structured'));
+    });
+
+    it('accepts objects with an id and encode and decode functions', () => {
+      assert.isTrue(codecs.isCodec({ id: 'msgpack', encode: () => {}, decode: () => {} }));
+    });
+
+    it('rejects objects without an id', () => {
+      assert.isFalse(codecs.isCodec({ encode: () => {}, decode: () => {} }));
+      assert.isFalse(codecs.isCodec({ id: '', encode: () => {}, decode: () => {} }));
+    });
+
+    it('rejects anything else', () => {
+      assert.isFalse(codecs.isCodec('xml'));
+      assert.isFalse(codecs.isCodec({ id: 'msgpack', encode: () => {} }));
+      assert.isFalse(codecs.isCodec(null));
+    });
+  });
+
+  describe('.resolve', () => {
+    it('defaults to the json codec', () => {
+      assert.strictEqual(codecs.resolve(), codecs.json);
+    });
+
+    it('finds built-in codecs by name', () => {
+      assert.strictEqual(codecs.resolve('structured'), codecs.structured);
+    });
+
+    it('uses user-supplied codecs with their own id', () => {
+      const encode = () => {};
+      const decode = () => {};
+      assert.deepEqual(codecs.resolve({ id: 'msgpack', encode, decode }), { id: 'msgpack', encode, decode });
+    });
+  });
+});
@@ -0,0 +1,58 @@
+'use strict';
+
+const assert = require('chai').assert;
+
+const compression = require('../../lib/compression');
+
+const large = { text: 'ceych '.repeat(1000) };
+
+describe('compression', () => {
+  describe('.compress', () => {
+    it('does not compress values smaller than the threshold', async () => {
+      assert.isNull(await compression.compress({ a: 1 }, { threshold: 1024 }));
+    });
+
+    it('does not compress undefined', async () => {
+      assert.isNull(await compression.compress(undefined, { threshold: 0 }));
+    });
+
+    it('compresses values at least as large as the threshold with gzip by default', async () => {
+      const compressed = await compression.compress(large, { threshold: 1024 });
+
+      assert.strictEqual(compressed.algorithm, 'gzip');
+      assert.strictEqual(compressed.originalBytes, Buffer.byteLength(JSON.stringify(large)));
+      assert.isBelow(compressed.compressedBytes, compressed.originalBytes);
+      assert.strictEqual(typeof compressed.data, 'string');
+    });
+
+    it('defaults to a threshold of 1024 bytes', async () => {
+      assert.isNull(await compression.compress('a'.repeat(1000), {}));
+      assert.isNotNull(await compression.compress('a'.repeat(1100), {}));
+    });
+  });
+
+  describe('.decompress', () => {
+    ['gzip', 'brotli'].forEach((algorithm) => {
+      it(`round trips values compressed with ${algorithm}`, async () => {
+        const compressed = await compression.compress(large, { threshold: 0, algorithm });
+        assert.deepEqual(await compression.decompress(compressed.data, algorithm), large);
+      });
+    });
+  });
+
+  describe('.isCompressionOpts', () => {
+    it('accepts an empty object', () => {
+      assert.isTrue(compression.isCompressionOpts({}));
+    });
+
+    it('accepts a threshold and algorithm', () => {
+      assert.isTrue(compression.isCompressionOpts({ threshold: 0, algorithm: 'brotli' }));
+    });
+
+    it('rejects unknown algorithms and negative thresholds', () => {
+      assert.isFalse(compression.isCompressionOpts({ algorithm: 'zstd' }));
+      assert.isFalse(compression.isCompressionOpts({ threshold: -1 }));
+      assert.isFalse(compression.isCompressionOpts(true));
+    });
+  });
+});
@@ -0,0 +1,188 @@
+'use strict';
+
+const assert = require('chai').assert;
+const sinon = require('sinon');
+
+const envelope = require('../../lib/envelope');
+
+describe('envelope', () => {
+  let clock;
+
+  beforeEach(() => {
+    clock = sinon.useFakeTimers(1000000);
+  });
+
+  afterEach(() => {
+    clock.restore();
+  });
+
+  describe('.create', () => {
+    it('stores the value with the time it was stored and its TTL in milliseconds', () => {
+      assert.deepEqual(envelope.create({ a: 1 }, 30), {
+        ceych: 1,
+        value: { a: 1 },
+        codec: 'json',
+        storedAt: 1000000,
+        ttl: 30000
+      });
+    });
+
+    it('stores the id of the codec used to encode the value', () => {
+      assert.strictEqual(envelope.create('encoded', 30, { codec: 'structured' }).codec, 'structured');
+    });
+
+    it('marks values that have been compressed', () => {
+      assert.strictEqual(envelope.create('compressed', 30, { compressed: 'gzip' }).compressed, 'gzip');
+    });
+
+    it('stores how long the value took to compute in whole milliseconds', () => {
+      assert.strictEqual(envelope.create(1, 30, { delta: 12.6 }).delta, 13);
+    });
+
+    it('marks values that are errors', () => {
+      assert.isTrue(envelope.create({ message: 'Not found' }, 5, { error: true }).error);
+      assert.notProperty(envelope.create('result', 30), 'error');
+    });
+  });
+
+  describe('.serialiseError', () => {
+    it('keeps the name, message and own properties of the error', () => {
+      const err = Object.assign(new TypeError('Not found'), { statusCode: 404 });
+
+      assert.deepEqual(envelope.serialiseError(err), {
+        name: 'TypeError',
+        message: 'Not found',
+        props: { statusCode: 404 }
+      });
+    });
+
+    it('leaves out own properties that cannot be serialised', () => {
+      const err = Object.assign(new Error('Not found'), { statusCode: 404, count: 10n });
+      err.self = err;
+
+      assert.deepEqual(envelope.serialiseError(err).props, { statusCode: 404 });
+    });
+
+    it('converts values that are not errors to a message', () => {
+      assert.deepEqual(envelope.serialiseError('Not found'), {
+        name: 'Error',
+        message: 'Not found',
+        props: {}
+      });
+    });
+  });
+
+  describe('.toError', () => {
+    it('rebuilds an error stored in an envelope', () => {
+      const stored = envelope.create(envelope.serialiseError(Object.assign(new TypeError('Not found'), { statusCode: 404 })), 5, { error: true });
+      const err = envelope.toError(JSON.parse(JSON.stringify(stored)));
+
+      assert.instanceOf(err, Error);
+      assert.strictEqual(err.name, 'TypeError');
+      assert.strictEqual(err.message, 'Not found');
+      assert.strictEqual(err.statusCode, 404);
+    });
+  });
+
+  describe('.isEnvelope', () => {
+    it('recognises envelopes', () => {
+      assert.isTrue(envelope.isEnvelope(envelope.create(1, 30)));
+    });
+
+    it('does not recognise plain values', () => {
+      assert.isFalse(envelope.isEnvelope(1));
+      assert.isFalse(envelope.isEnvelope(null));
+      assert.isFalse(envelope.isEnvelope({ value: 1 }));
+    });
+  });
+
+  describe('.freshness', () => {
+    it('is fresh within the TTL', () => {
+      const entry = envelope.create(1, 30);
+      clock.tick(29999);
+      assert.strictEqual(envelope.freshness(entry, 60), 'fresh');
+    });
+
+    it('is stale after the TTL but within the stale window', () => {
+      const entry = envelope.create(1, 30);
+      clock.tick(30000);
+      assert.strictEqual(envelope.freshness(entry, 60), 'stale');
+    });
+
+    it('is expired after the stale window', () => {
+      const entry = envelope.create(1, 30);
+      clock.tick(90000);
+      assert.strictEqual(envelope.freshness(entry, 60), 'expired');
+    });
+
+    it('is expired after the TTL when there is no stale window', () => {
+      const entry = envelope.create(1, 30);
+      clock.tick(30000);
+      assert.strictEqual(envelope.freshness(entry, 0), 'expired');
+    });
+  });
+
+  describe('.refreshesEarly', () => {
+    let random;
+
+    beforeEach(() => {
+      random = sinon.stub(Math, 'random').returns(0.1);
+    });
+
+    afterEach(() => {
+      random.restore();
+    });
+
+    it('refreshes when the scaled compute time reaches past the expiry', () => {
+      // -ln(0.1) is about 2.3, so a 1s compute time reaches 2.3s ahead
+      const entry = envelope.create(1, 30, { delta: 1000 });
+
+      clock.tick(27800);
+      assert.isTrue(envelope.refreshesEarly(entry, 1));
+    });
+
+    it('does not refresh when the expiry is further away', () => {
+      const entry = envelope.create(1, 30, { delta: 1000 });
+
+      clock.tick(27600);
+      assert.isFalse(envelope.refreshesEarly(entry, 1));
+      assert.isTrue(envelope.refreshesEarly(entry, 2));
+    });
+
+    it('never refreshes without a beta or a compute time', () => {
+      random.returns(0);
+
+      assert.isFalse(envelope.refreshesEarly(envelope.create(1, 30, { delta: 1000 }), 0));
+      assert.isFalse(envelope.refreshesEarly(envelope.create(1, 30), 1));
+    });
+  });
+
+  describe('.usableOnError', () => {
+    it('is usable within the TTL plus the stale if error window', () => {
+      const entry = envelope.create(1, 30);
+      clock.tick(89999);
+      assert.isTrue(envelope.usableOnError(entry, 60));
+    });
+
+    it('is not usable after the stale if error window', () => {
+      const entry = envelope.create(1, 30);
+      clock.tick(90000);
+      assert.isFalse(envelope.usableOnError(entry, 60));
+    });
+  });
+
+  describe('.size', () => {
+    it('returns the size in bytes of an encoded entry', () => {
+      assert.strictEqual(envelope.size({ value: '"£1"' }), 5);
+    });
+
+    it('returns the size in bytes of the JSON of an entry that is not encoded as a string', () => {
+      assert.strictEqual(envelope.size({ value: { pid: 'b00' } }), 13);
+    });
+
+    it('returns undefined for entries without a value that can be measured', () => {
+      assert.isUndefined(envelope.size({ value: 1n }));
+      assert.isUndefined(envelope.size(undefined));
+    });
+  });
+});
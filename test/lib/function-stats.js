@@ -0,0 +1,81 @@
+'use strict';
+
+const assert = require('chai').assert;
+
+const FunctionStats = require('../../lib/function-stats');
+
+describe('FunctionStats', () => {
+  it('counts hits, misses and errors', () => {
+    const stats = new FunctionStats();
+
+    stats.increment('ceych.hits');
+    stats.increment('ceych.misses');
+    stats.increment('ceych.misses');
+    stats.increment('ceych.misses');
+    stats.increment('ceych.errors');
+    stats.increment('ceych.calls', { result: 'miss', outcome: 'error' });
+    stats.increment('ceych.calls', { result: 'hit', outcome: 'success' });
+
+    assert.include(stats.snapshot(), {
+      hits: 1,
+      misses: 3,
+      hitRatio: 0.25,
+      errors: 1,
+      cacheErrors: 1
+    });
+  });
+
+  it('summarises read and write latency', () => {
+    const stats = new FunctionStats();
+
+    for (let ms = 1; ms <= 100; ms++) {
+      stats.timing('ceych.read_time', ms);
+    }
+    stats.timing('ceych.write_time', 4);
+    stats.timing('ceych.write_time', 8);
+
+    const { readLatency, writeLatency } = stats.snapshot();
+    assert.deepEqual(readLatency, { mean: 50.5, p95: 95 });
+    assert.deepEqual(writeLatency, { mean: 6, p95: 8 });
+  });
+
+  it('summarises latency over the most recent samples', () => {
+    const stats = new FunctionStats();
+
+    for (let i = 0; i < 1000; i++) {
+      stats.timing('ceych.read_time', 100);
+    }
+    for (let i = 0; i < 1000; i++) {
+      stats.timing('ceych.read_time', 1);
+    }
+
+    assert.deepEqual(stats.snapshot().readLatency, { mean: 1, p95: 1 });
+  });
+
+  it('counts calls in flight and bytes written', () => {
+    const stats = new FunctionStats({ countBytes: true });
+
+    stats.started();
+    stats.started();
+    stats.settled();
+    stats.written(100);
+    stats.written(undefined);
+    stats.written(20);
+
+    assert.include(stats.snapshot(), { inFlight: 1, bytesWritten: 120 });
+  });
+
+  it('does not count bytes written unless asked to', () => {
+    const stats = new FunctionStats();
+
+    stats.written(100);
+    assert.isNull(stats.snapshot().bytesWritten);
+  });
+
+  it('has no hit ratio or latency before there have been any lookups', () => {
+    const snapshot = new FunctionStats().snapshot();
+
+    assert.isNull(snapshot.hitRatio);
+    assert.deepEqual(snapshot.readLatency, { mean: null, p95: null });
+  });
+});
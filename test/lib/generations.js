@@ -0,0 +1,74 @@
+'use strict';
+
+const assert = require('chai').assert;
+const sinon = require('sinon');
+
+const Generations = require('../../lib/generations');
+const { createGenerationKey, createFunctionId } = require('../../lib/utils');
+
+const func = () => Promise.resolve(1);
+
+describe('Generations', () => {
+  let cacheClient;
+  let generations;
+
+  beforeEach(() => {
+    cacheClient = {
+      get: sinon.stub().resolves(null),
+      set: sinon.stub().resolves()
+    };
+    generations = new Generations(cacheClient);
+  });
+
+  describe('.isOptions', () => {
+    it('accepts true or an object with a ttl greater than zero', () => {
+      assert.isTrue(Generations.isOptions(true));
+      assert.isTrue(Generations.isOptions({}));
+      assert.isTrue(Generations.isOptions({ ttl: 60 }));
+      assert.isFalse(Generations.isOptions({ ttl: 0 }));
+      assert.isFalse(Generations.isOptions('yes'));
+    });
+  });
+
+  describe('.current', () => {
+    it('combines the generations of the client and the function', async () => {
+      cacheClient.get.withArgs(createGenerationKey('client')).resolves({ item: 'c1' });
+      cacheClient.get.withArgs(createGenerationKey(`fn:${createFunctionId(func, '')}`)).resolves({ item: 'f1' });
+
+      assert.strictEqual(await generations.current(func, '', {}), 'c1.f1');
+    });
+
+    it('starts generations that do not exist yet', async () => {
+      const generation = await generations.current(func, '', {});
+
+      assert.match(generation, /^[0-9a-z]+\.[0-9a-f]+\.[0-9a-z]+\.[0-9a-f]+$/);
+      sinon.assert.calledTwice(cacheClient.set);
+    });
+
+    it('keeps generations for 30 days by default', async () => {
+      await generations.current(func, '', {});
+      sinon.assert.calledWith(cacheClient.set, createGenerationKey('client'), sinon.match.string, 30 * 24 * 60 * 60 * 1000);
+    });
+
+    it('keeps generations for the ttl given', async () => {
+      generations = new Generations(cacheClient, { ttl: 60 });
+
+      await generations.current(func, '', {});
+      sinon.assert.calledWith(cacheClient.set, createGenerationKey('client'), sinon.match.string, 60000);
+    });
+  });
+
+  describe('.invalidateFunction', () => {
+    it('starts a new generation for the function', async () => {
+      await generations.invalidateFunction(func, 'suffix', { name: 'func' });
+      sinon.assert.calledWith(cacheClient.set, createGenerationKey(`fn:${createFunctionId(func, 'suffix', { name: 'func' })}`));
+    });
+  });
+
+  describe('.invalidateClient', () => {
+    it('starts a new generation for the client', async () => {
+      await generations.invalidateClient();
+      sinon.assert.calledWith(cacheClient.set, createGenerationKey('client'));
+    });
+  });
+});
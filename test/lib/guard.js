@@ -0,0 +1,100 @@
+'use strict';
+
+const assert = require('chai').assert;
+const sinon = require('sinon');
+
+const { guard, isCacheError } = require('../../lib/guard');
+const { CircuitBreaker, CircuitOpenError } = require('../../lib/circuit-breaker');
+
+describe('guard', () => {
+  let cacheClient;
+
+  beforeEach(() => {
+    cacheClient = {
+      isReady: sinon.stub().returns(true),
+      start: sinon.stub().resolves(),
+      stop: sinon.stub().resolves(),
+      get: sinon.stub().resolves({ item: 1 }),
+      set: sinon.stub().resolves(),
+      drop: sinon.stub().resolves()
+    };
+  });
+
+  it('passes calls through to the cache client', async () => {
+    const guarded = guard(cacheClient);
+
+    const reply = await guarded.get('key');
+    await guarded.set('key', 1, 1000);
+    assert.deepEqual(reply, { item: 1 });
+    sinon.assert.calledWith(cacheClient.set, 'key', 1, 1000);
+  });
+
+  it('only has getMany when the cache client does', () => {
+    assert.notProperty(guard(cacheClient), 'getMany');
+
+    cacheClient.getMany = sinon.stub().resolves([]);
+    assert.isFunction(guard(cacheClient).getMany);
+  });
+
+  it('marks errors from the cache client', async () => {
+    const err = new Error('Cache Error!');
+    cacheClient.get.rejects(err);
+
+    try {
+      await guard(cacheClient).get('key');
+    } catch (e) {
+      assert.strictEqual(e, err);
+      return assert.isTrue(isCacheError(e));
+    }
+    assert.fail('Expected error to be returned!');
+  });
+
+  it('times out reads after the read timeout', async () => {
+    cacheClient.get.returns(new Promise(() => {}));
+
+    try {
+      await guard(cacheClient, { readTimeout: 5 }).get('key');
+    } catch (err) {
+      return assert.strictEqual(err.message, 'command timed out');
+    }
+    assert.fail('Expected error to be returned!');
+  });
+
+  it('times out writes after the write timeout', async () => {
+    cacheClient.set.returns(new Promise(() => {}));
+
+    try {
+      await guard(cacheClient, { writeTimeout: 5 }).set('key', 1, 1000);
+    } catch (err) {
+      return assert.strictEqual(err.message, 'command timed out');
+    }
+    assert.fail('Expected error to be returned!');
+  });
+
+  it('stops calls while the circuit is open', async () => {
+    const circuitBreaker = new CircuitBreaker({ threshold: 1 });
+    const statsClient = { increment: sinon.stub() };
+    const guarded = guard(cacheClient, { circuitBreaker, statsClient });
+    cacheClient.get.rejects(new Error('Cache Error!'));
+    await guarded.get('key').catch(() => {});
+
+    try {
+      await guarded.get('key');
+    } catch (err) {
+      assert.instanceOf(err, CircuitOpenError);
+      sinon.assert.calledOnce(cacheClient.get);
+      return sinon.assert.calledWith(statsClient.increment, 'ceych.bypassed');
+    }
+    assert.fail('Expected error to be returned!');
+  });
+
+  it('records successes with the circuit breaker', async () => {
+    const circuitBreaker = new CircuitBreaker({ threshold: 2 });
+    const guarded = guard(cacheClient, { circuitBreaker });
+    cacheClient.get.onFirstCall().rejects(new Error('Cache Error!'));
+
+    await guarded.get('key').catch(() => {});
+    await guarded.get('key');
+    assert.strictEqual(circuitBreaker.failures, 0);
+  });
+});
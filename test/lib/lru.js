@@ -0,0 +1,144 @@
+'use strict';
+
+const assert = require('chai').assert;
+const sinon = require('sinon');
+
+const LRU = require('../../lib/lru');
+
+function key(id) {
+  return { segment: 'ceych', id };
+}
+
+describe('LRU', () => {
+  let clock;
+
+  beforeEach(() => {
+    clock = sinon.useFakeTimers();
+  });
+
+  afterEach(() => {
+    clock.restore();
+  });
+
+  it('returns values that have been set', () => {
+    const lru = new LRU();
+    lru.set(key('a'), { value: 1 });
+    assert.deepEqual(lru.get(key('a')), { value: 1 });
+  });
+
+  it('returns undefined for values that have not been set', () => {
+    const lru = new LRU();
+    assert.isUndefined(lru.get(key('a')));
+  });
+
+  it('returns a copy of the value so it cannot be changed in the cache', () => {
+    const lru = new LRU();
+    const value = { value: 1 };
+    lru.set(key('a'), value);
+    value.value = 2;
+
+    const cached = lru.get(key('a'));
+    cached.value = 3;
+    assert.deepEqual(lru.get(key('a')), { value: 1 });
+  });
+
+  it('distinguishes keys in different segments', () => {
+    const lru = new LRU();
+    lru.set({ segment: 'one', id: 'a' }, 1);
+    assert.isUndefined(lru.get({ segment: 'two', id: 'a' }));
+  });
+
+  it('expires values after its TTL', () => {
+    const lru = new LRU({ ttl: 5 });
+    lru.set(key('a'), 1);
+
+    clock.tick(4999);
+    assert.strictEqual(lru.get(key('a')), 1);
+    clock.tick(1);
+    assert.isUndefined(lru.get(key('a')));
+    assert.strictEqual(lru.size, 0);
+  });
+
+  it('expires values sooner when given a shorter TTL in milliseconds', () => {
+    const lru = new LRU({ ttl: 5 });
+    lru.set(key('a'), 1, 1000);
+
+    clock.tick(1000);
+    assert.isUndefined(lru.get(key('a')));
+  });
+
+  it('evicts the least recently used value when there are too many entries', () => {
+    const lru = new LRU({ maxEntries: 2 });
+    lru.set(key('a'), 1);
+    lru.set(key('b'), 2);
+    lru.get(key('a'));
+    lru.set(key('c'), 3);
+
+    assert.strictEqual(lru.get(key('a')), 1);
+    assert.isUndefined(lru.get(key('b')));
+    assert.strictEqual(lru.get(key('c')), 3);
+  });
+
+  it('evicts the least recently used values when there are too many bytes', () => {
+    const lru = new LRU({ maxBytes: 10 });
+    lru.set(key('a'), 'aaa');
+    lru.set(key('b'), 'bbb');
+    lru.set(key('c'), 'ccc');
+
+    assert.isUndefined(lru.get(key('a')));
+    assert.strictEqual(lru.get(key('b')), 'bbb');
+    assert.strictEqual(lru.get(key('c')), 'ccc');
+    assert.strictEqual(lru.bytes, 10);
+  });
+
+  it('does not hold values larger than the byte limit', () => {
+    const lru = new LRU({ maxBytes: 4 });
+    lru.set(key('a'), 'a');
+    lru.set(key('b'), 'bbbbbb');
+
+    assert.strictEqual(lru.get(key('a')), 'a');
+    assert.isUndefined(lru.get(key('b')));
+  });
+
+  it('replaces values that are set again', () => {
+    const lru = new LRU();
+    lru.set(key('a'), 'a');
+    lru.set(key('a'), 'aa');
+
+    assert.strictEqual(lru.get(key('a')), 'aa');
+    assert.strictEqual(lru.size, 1);
+    assert.strictEqual(lru.bytes, 4);
+  });
+
+  it('deletes values', () => {
+    const lru = new LRU();
+    lru.set(key('a'), 1);
+    lru.delete(key('a'));
+
+    assert.isUndefined(lru.get(key('a')));
+    assert.strictEqual(lru.bytes, 0);
+  });
+
+  it('clears all values', () => {
+    const lru = new LRU();
+    lru.set(key('a'), 1);
+    lru.set(key('b'), 2);
+    lru.clear();
+
+    assert.strictEqual(lru.size, 0);
+    assert.strictEqual(lru.bytes, 0);
+  });
+
+  describe('.isOptions', () => {
+    it('accepts positive limits', () => {
+      assert.isTrue(LRU.isOptions({}));
+      assert.isTrue(LRU.isOptions({ maxEntries: 10, maxBytes: 1024, ttl: 1 }));
+    });
+
+    it('rejects anything else', () => {
+      assert.isFalse(LRU.isOptions(true));
+      assert.isFalse(LRU.isOptions({ maxEntries: 0 }));
+      assert.isFalse(LRU.isOptions({ ttl: '5' }));
+    });
+  });
+});
@@ -1,11 +1,18 @@
 'use strict';
 
+const { AsyncLocalStorage } = require('async_hooks');
 const _ = require('lodash');
 const assert = require('chai').assert;
 const sinon = require('sinon');
 const sandbox = sinon.createSandbox();
 const hash = require('../../lib/hash');
 const memoize = require('../../lib/memoize');
+const LRU = require('../../lib/lru');
+const Versions = require('../../lib/versions');
+const Generations = require('../../lib/generations');
+const { createSegment } = require('../../lib/utils');
+const { guard } = require('../../lib/guard');
+const { CircuitBreaker } = require('../../lib/circuit-breaker');
 const packageVersion = require('../../package.json').version;
 
 const wrappableWithCb = (cb) => cb(null, 1);
@@ -22,6 +29,52 @@ function Circular() {
   this.circular = this;
 }
 
+// A cache reply for a value stored `age` seconds ago with the default TTL
+function cachedEntry(value, age) {
+  return {
+    item: {
+      ceych: 1,
+      value,
+      codec: 'json',
+      storedAt: Date.now() - age * 1000,
+      ttl: opts.ttl * 1000
+    }
+  };
+}
+
+// A tracer that records its spans, keeping the active one in async local storage as OpenTelemetry's context manager does
+function createTracer() {
+  const active = new AsyncLocalStorage();
+  const spans = [];
+
+  return {
+    spans,
+    activeSpan: () => active.getStore(),
+    startActiveSpan(name, opts, fn) {
+      const span = {
+        name,
+        parent: active.getStore(),
+        attributes: { ...opts.attributes },
+        setAttribute(key, value) {
+          this.attributes[key] = value;
+          return this;
+        },
+        recordException(err) {
+          this.exception = err;
+        },
+        setStatus(status) {
+          this.status = status;
+        },
+        end() {
+          this.ended = true;
+        }
+      };
+      spans.push(span);
+      return active.run(span, () => fn(span));
+    }
+  };
+}
+
 describe('memoize', () => {
   let cacheClient;
 
@@ -80,6 +133,77 @@ describe('memoize', () => {
       });
       sinon.assert.calledWith(hash.create, `${wrappableWithObject.toString()}[{"testing":"123"}]`);
     });
+
+    it('hashes the name in place of the function source when one is given', async () => {
+      const namedOpts = _.cloneDeep(opts);
+      namedOpts.name = 'loadData';
+      const func = memoize(cacheClient, namedOpts, wrappable);
+
+      await func(1);
+      sinon.assert.calledWith(hash.create, 'name:loadData[1]');
+    });
+
+    it('hashes the result of the key function in place of the arguments when one is given', async () => {
+      const keyedOpts = _.cloneDeep(opts);
+      keyedOpts.key = (id, options) => `${id}:${options.lang}`;
+      const func = memoize(cacheClient, keyedOpts, wrappable);
+
+      await func(1, { lang: 'en' });
+      sinon.assert.calledWith(hash.create, `${wrappable.toString()}key:1:en`);
+    });
+
+    it('hashes the name, key and suffix together', async () => {
+      const keyedOpts = _.cloneDeep(opts);
+      keyedOpts.name = 'loadData';
+      keyedOpts.key = (id) => String(id);
+      keyedOpts.suffix = 'v2';
+      const func = memoize(cacheClient, keyedOpts, wrappable);
+
+      await func(1);
+      sinon.assert.calledWith(hash.create, 'name:loadData' + 'key:1' + 'v2');
+    });
+
+    it('gives two functions with the same source but different names different keys', async () => {
+      hash.create.restore();
+      const first = memoize(cacheClient, { ...opts, name: 'first' }, () => Promise.resolve(1));
+      const second = memoize(cacheClient, { ...opts, name: 'second' }, () => Promise.resolve(1));
+
+      await first();
+      await second();
+      assert.notEqual(cacheClient.get.firstCall.args[0].id, cacheClient.get.secondCall.args[0].id);
+    });
+
+    it('hashes the arguments with the canonical serializer when selected', async () => {
+      hash.create.restore();
+      const canonicalOpts = { ...opts, keySerializer: 'canonical' };
+      const func = memoize(cacheClient, canonicalOpts, wrappable);
+
+      await func({ a: 1, b: 2 });
+      await func({ b: 2, a: 1 });
+      assert.strictEqual(cacheClient.get.firstCall.args[0].id, cacheClient.get.secondCall.args[0].id);
+    });
+
+    it('hashes different URLs to different keys with the canonical serializer', async () => {
+      hash.create.restore();
+      const func = memoize(cacheClient, { ...opts, keySerializer: 'canonical' }, wrappable);
+
+      await func(new URL('https://a.com/x'));
+      await func(new URL('https://b.com/y'));
+      assert.notEqual(cacheClient.get.firstCall.args[0].id, cacheClient.get.secondCall.args[0].id);
+    });
+
+    it('returns an error when the key function does not return a string', async () => {
+      const keyedOpts = _.cloneDeep(opts);
+      keyedOpts.key = (id) => id;
+      const func = memoize(cacheClient, keyedOpts, wrappable);
+
+      try {
+        await func(1);
+      } catch (err) {
+        return assert.strictEqual(err.message, 'Failed to create cache key from arguments: key function must return a string, received [1]');
+      }
+      assert.fail('Expected error to be returned!');
+    });
   });
 
   describe('caching', () => {
@@ -244,7 +368,7 @@ describe('memoize', () => {
         await func();
         sinon.assert.calledWith(cacheClient.set, sinon.match({
           id: 'hashed'
-        }), 1);
+        }), sinon.match({ value: 1 }));
       });
 
       it('sets a return value of null to the cache', async () => {
@@ -254,7 +378,7 @@ describe('memoize', () => {
         await func();
         sinon.assert.calledWith(cacheClient.set, sinon.match({
           id: 'hashed'
-        }), null);
+        }), sinon.match({ value: null }));
       });
 
       it('sets the TTL as the expiry in milliseconds', async () => {
@@ -267,17 +391,27 @@ describe('memoize', () => {
         await func();
         sinon.assert.calledWith(cacheClient.set, sinon.match({
           id: 'hashed'
-        }), 1, 10000);
+        }), sinon.match({ value: 1 }), 10000);
       });
 
-      it('includes the package version in the key object', async () => {
+      it('uses the default namespace and key version as the segment', async () => {
         const wrappableStub = sandbox.stub().returns(Promise.resolve(1));
         const func = memoize(cacheClient, opts, wrappableStub);
 
+        await func();
+        sinon.assert.calledWith(cacheClient.set, sinon.match({
+          segment: 'ceych_v1'
+        }), sinon.match({ value: 1 }));
+      });
+
+      it('uses the segment given in the options', async () => {
+        const wrappableStub = sandbox.stub().returns(Promise.resolve(1));
+        const func = memoize(cacheClient, { ...opts, segment: createSegment({ keyVersion: 'package' }) }, wrappableStub);
+
         await func();
         sinon.assert.calledWith(cacheClient.set, sinon.match({
           segment: `ceych_${packageVersion}`
-        }), 1);
+        }), sinon.match({ value: 1 }));
       });
 
       it('does not attempt to set to the cache if the cache is not ready', async () => {
@@ -305,80 +439,1339 @@ describe('memoize', () => {
     });
   });
 
-  describe('wrapped function parameters', () => {
-    it('returns an error when one of the arguments cannot be stringified', async () => {
-      const func = memoize(cacheClient, opts, wrappable);
+  describe('conditional writes', () => {
+    it('does not cache results rejected by shouldCache', async () => {
+      const shouldCache = sandbox.stub().returns(false);
+      const func = memoize(cacheClient, { ...opts, shouldCache }, wrappable);
+
+      const result = await func(1);
+      assert.strictEqual(result, 1);
+      sinon.assert.calledWith(shouldCache, 1, [1]);
+      sinon.assert.notCalled(cacheClient.set);
+    });
+
+    it('caches results accepted by shouldCache', async () => {
+      const func = memoize(cacheClient, { ...opts, shouldCache: () => true }, wrappable);
+
+      await func();
+      sinon.assert.calledWith(cacheClient.set, sinon.match.object, sinon.match({ value: 1 }));
+    });
+
+    it('caches results for the TTL returned by ttlFor', async () => {
+      const ttlFor = sandbox.stub().returns(120);
+      const func = memoize(cacheClient, { ...opts, ttlFor }, wrappable);
+
+      await func(1);
+      sinon.assert.calledWith(ttlFor, 1, [1]);
+      sinon.assert.calledWith(cacheClient.set, sinon.match.object, sinon.match({ ttl: 120000 }), 120000);
+    });
+
+    it('uses the TTL of the function when ttlFor returns undefined', async () => {
+      const func = memoize(cacheClient, { ...opts, ttlFor: () => undefined }, wrappable);
+
+      await func();
+      sinon.assert.calledWith(cacheClient.set, sinon.match.object, sinon.match.object, 30000);
+    });
+
+    it('does not cache results when ttlFor returns zero or less', async () => {
+      const func = memoize(cacheClient, { ...opts, ttlFor: () => 0 }, wrappable);
+
+      const result = await func();
+      assert.strictEqual(result, 1);
+      sinon.assert.notCalled(cacheClient.set);
+    });
+
+    it('returns an error if ttlFor does not return a number', async () => {
+      const func = memoize(cacheClient, { ...opts, ttlFor: () => '60' }, wrappable);
 
       try {
-        await func(new Circular());
+        await func();
       } catch (err) {
-        return assert.match(err.message, /Failed to create cache key from arguments: Converting circular structure to JSON/);
+        return assert.strictEqual(err.message, 'ttlFor function must return a number, received [60]');
       }
       assert.fail('Expected error to be returned!');
     });
+
+    it('increments a StatsD counter for skipped writes', async () => {
+      const statsClient = {
+        increment: sandbox.stub(),
+        timing: sandbox.stub()
+      };
+      const func = memoize(cacheClient, { ...opts, statsClient, shouldCache: () => false }, wrappable);
+
+      await func();
+      sinon.assert.calledWith(statsClient.increment, 'ceych.skipped_writes');
+    });
   });
 
-  describe('stats', () => {
-    let statsClient;
-    let optsWithStats;
+  describe('codecs', () => {
+    it('stores the encoded result along with the id of the codec', async () => {
+      const codecOpts = { ...opts, codec: 'structured' };
+      const func = memoize(cacheClient, codecOpts, () => Promise.resolve(new Set([1])));
 
-    beforeEach(() => {
-      statsClient = {
-        increment: sandbox.stub(),
-        timing: sandbox.stub(),
+      await func();
+      sinon.assert.calledWith(cacheClient.set, sinon.match.any, sinon.match({
+        codec: 'structured',
+        value: { $ceych: 'Set', value: [1] }
+      }));
+    });
+
+    it('returns the unencoded result from the wrapped function on a miss', async () => {
+      const result = new Map([['a', 1]]);
+      const func = memoize(cacheClient, { ...opts, codec: 'structured' }, () => Promise.resolve(result));
+
+      assert.strictEqual(await func(), result);
+    });
+
+    it('decodes cached results', async () => {
+      cacheClient.get.resolves({
+        item: { ...cachedEntry(null, 0).item, codec: 'structured', value: { $ceych: 'Date', value: '2020-01-01T00:00:00.000Z' } }
+      });
+      const func = memoize(cacheClient, { ...opts, codec: 'structured' }, wrappable);
+
+      const result = await func();
+      assert.instanceOf(result, Date);
+    });
+
+    it('uses a user-supplied codec', async () => {
+      const codec = {
+        id: 'reversed',
+        encode: (value) => value.split('').reverse().join(''),
+        decode: (value) => value.split('').reverse().join('')
       };
+      const func = memoize(cacheClient, { ...opts, codec }, () => Promise.resolve('abc'));
 
-      optsWithStats = _.cloneDeep(opts);
-      optsWithStats.statsClient = statsClient;
+      await func();
+      sinon.assert.calledWith(cacheClient.set, sinon.match.any, sinon.match({ codec: 'reversed', value: 'cba' }));
+
+      cacheClient.get.resolves({ item: { ...cachedEntry(null, 0).item, codec: 'reversed', value: 'fed' } });
+      assert.strictEqual(await func(), 'def');
     });
 
-    it('increments a StatsD counter every time there is a cache miss', async () => {
-      const func = memoize(cacheClient, optsWithStats, wrappable);
+    it('treats an entry written with a different codec as a miss', async () => {
+      cacheClient.get.resolves(cachedEntry('cached', 0));
+      const wrappableStub = sandbox.stub().resolves('new');
+      const func = memoize(cacheClient, { ...opts, codec: 'structured' }, wrappableStub);
+
+      const result = await func();
+      assert.strictEqual(result, 'new');
+      sinon.assert.calledOnce(wrappableStub);
+    });
+
+    it('returns an error if the result cannot be encoded', async () => {
+      const func = memoize(cacheClient, { ...opts, codec: 'structured' }, () => Promise.resolve(() => {}));
+
+      try {
+        await func();
+      } catch (err) {
+        return assert.strictEqual(err.message, 'Cannot encode a function');
+      }
+      assert.fail('Expected error to be returned!');
+    });
+  });
+
+  describe('compression', () => {
+    const large = { text: 'ceych '.repeat(1000) };
+
+    it('compresses results at least as large as the threshold', async () => {
+      const func = memoize(cacheClient, { ...opts, compression: { threshold: 1024 } }, () => Promise.resolve(large));
 
       await func();
-      sinon.assert.calledWith(statsClient.increment, 'ceych.misses');
+      const stored = cacheClient.set.firstCall.args[1];
+      assert.strictEqual(stored.compressed, 'gzip');
+      assert.strictEqual(typeof stored.value, 'string');
     });
 
-    it('increments a StatsD counter every time there is a cache hit', async () => {
-      cacheClient.get.returns(Promise.resolve({ item: 1 }));
-      const func = memoize(cacheClient, optsWithStats, wrappable);
+    it('does not compress results smaller than the threshold', async () => {
+      const func = memoize(cacheClient, { ...opts, compression: { threshold: 1024 } }, wrappable);
 
       await func();
-      sinon.assert.calledWith(statsClient.increment, 'ceych.hits');
+      sinon.assert.calledWith(cacheClient.set, sinon.match.any, sinon.match({ value: 1 }));
+      assert.notProperty(cacheClient.set.firstCall.args[1], 'compressed');
     });
 
-    it('increments a StatsD counter when fetching from the cache returns an error', async () => {
-      cacheClient.get.returns(Promise.reject(new Error('error')));
-      const func = memoize(cacheClient, optsWithStats, wrappable);
+    it('does not compress results when compression is not configured', async () => {
+      const func = memoize(cacheClient, opts, () => Promise.resolve(large));
+
+      await func();
+      sinon.assert.calledWith(cacheClient.set, sinon.match.any, sinon.match({ value: large }));
+    });
+
+    it('decompresses cached results', async () => {
+      const compressOpts = { ...opts, compression: { threshold: 0, algorithm: 'brotli' } };
+      const writer = memoize(cacheClient, compressOpts, () => Promise.resolve(large));
+      await writer();
+
+      cacheClient.get.resolves({ item: cacheClient.set.firstCall.args[1] });
+      const reader = memoize(cacheClient, compressOpts, wrappable);
+
+      assert.deepEqual(await reader(), large);
+    });
+
+    it('compresses the encoded result', async () => {
+      const compressOpts = { ...opts, codec: 'structured', compression: { threshold: 0 } };
+      const writer = memoize(cacheClient, compressOpts, () => Promise.resolve(new Set([1, 2])));
+      await writer();
+
+      cacheClient.get.resolves({ item: cacheClient.set.firstCall.args[1] });
+      const reader = memoize(cacheClient, compressOpts, wrappable);
+
+      const result = await reader();
+      assert.instanceOf(result, Set);
+      assert.deepEqual(Array.from(result), [1, 2]);
+    });
+  });
+
+  describe('L1', () => {
+    let l1Opts;
+
+    beforeEach(() => {
+      l1Opts = { ...opts, l1: new LRU({ ttl: 5 }) };
+    });
+
+    it('returns results held in the L1 without reading from the cache client', async () => {
+      const wrappableStub = sandbox.stub().resolves(1);
+      const func = memoize(cacheClient, l1Opts, wrappableStub);
+
+      await func();
+      const result = await func();
+
+      assert.strictEqual(result, 1);
+      sinon.assert.calledOnce(cacheClient.get);
+      sinon.assert.calledOnce(wrappableStub);
+    });
+
+    it('writes results to the L1 as well as the cache client', async () => {
+      const func = memoize(cacheClient, l1Opts, wrappable);
+
+      await func();
+      sinon.assert.calledOnce(cacheClient.set);
+      assert.deepEqual(l1Opts.l1.get(cacheClient.set.firstCall.args[0]), cacheClient.set.firstCall.args[1]);
+    });
+
+    it('copies entries found in the cache client into the L1', async () => {
+      cacheClient.get.resolves(cachedEntry('cached', 0));
+      const func = memoize(cacheClient, l1Opts, wrappable);
+
+      await func();
+      await func();
+
+      sinon.assert.calledOnce(cacheClient.get);
+      assert.strictEqual(l1Opts.l1.size, 1);
+    });
+
+    it('does not write to the L1 when writing to the cache client fails', async () => {
+      cacheClient.set.rejects(new Error('SET Error!'));
+      const func = memoize(cacheClient, l1Opts, wrappable);
 
       try {
         await func();
-      } catch (error) {
-        assert.ok(error);
-        return sinon.assert.calledWith(statsClient.increment, 'ceych.errors');
+      } catch (err) {
+        assert.strictEqual(l1Opts.l1.size, 0);
+        return;
       }
       assert.fail('Expected error to be returned!');
     });
 
-    it('increments a StatsD counter when saving to the cache returns an error', async () => {
-      cacheClient.set.returns(Promise.reject(new Error('error')));
-      const func = memoize(cacheClient, optsWithStats, wrappable);
+    it('reads from the cache client once an entry has left the L1', async () => {
+      const clock = sandbox.useFakeTimers(Date.now());
+      const func = memoize(cacheClient, l1Opts, wrappable);
+
+      await func();
+      clock.tick(5000);
+      await func();
+
+      sinon.assert.calledTwice(cacheClient.get);
+    });
+
+    it('reads an entry held stale in the L1 from the cache client before refreshing it', async () => {
+      const clock = sandbox.useFakeTimers(Date.now());
+      const wrappableStub = sandbox.stub().resolves('old');
+      const func = memoize(cacheClient, { ...l1Opts, l1: new LRU({ ttl: 600 }), staleWhileRevalidate: 60 }, wrappableStub);
+
+      await func();
+      clock.tick(31000);
+      cacheClient.get.resolves(cachedEntry('new', 0));
+
+      assert.strictEqual(await func(), 'new');
+      sinon.assert.calledOnce(wrappableStub);
+      assert.strictEqual(await func(), 'new');
+      sinon.assert.calledTwice(cacheClient.get);
+    });
+
+    it('reads an expired entry held in the L1 from the cache client before calling the function', async () => {
+      const clock = sandbox.useFakeTimers(Date.now());
+      const wrappableStub = sandbox.stub().resolves('old');
+      const func = memoize(cacheClient, { ...l1Opts, l1: new LRU({ ttl: 600 }), staleIfError: 60 }, wrappableStub);
+
+      await func();
+      clock.tick(31000);
+      cacheClient.get.resolves(cachedEntry('new', 0));
+
+      assert.strictEqual(await func(), 'new');
+      sinon.assert.calledOnce(wrappableStub);
+    });
+  });
+
+  describe('generations', () => {
+    let generations;
+
+    beforeEach(() => {
+      generations = sinon.createStubInstance(Generations);
+      generations.current.resolves('c1.f1');
+    });
+
+    it('mixes the current generation into the key', async () => {
+      const func = memoize(cacheClient, { ...opts, generations }, wrappable);
+
+      await func(1);
+      sinon.assert.calledWith(generations.current, wrappable, '');
+      sinon.assert.calledWith(hash.create, `${wrappable.toString()}[1]\u0000generation:c1.f1`);
+    });
+
+    it('does not change the key when generations are not enabled', async () => {
+      const func = memoize(cacheClient, opts, wrappable);
+
+      await func(1);
+      sinon.assert.calledWith(hash.create, `${wrappable.toString()}[1]`);
+    });
+
+    it('returns an error if the generation cannot be read', async () => {
+      generations.current.rejects(new Error('Good heavens'));
+      const func = memoize(cacheClient, { ...opts, generations }, wrappable);
+
+      try {
+        await func(1);
+      } catch (err) {
+        return assert.strictEqual(err.message, 'Good heavens');
+      }
+      assert.fail('Expected error to be returned!');
+    });
+  });
+
+  describe('tags', () => {
+    let tagVersions;
+
+    beforeEach(() => {
+      tagVersions = sinon.createStubInstance(Versions);
+      tagVersions.ensure.callsFake(async (tags) => Object.fromEntries(tags.map((tag) => [tag, `${tag}-v1`])));
+      tagVersions.current.callsFake(async (tags) => Object.fromEntries(tags.map((tag) => [tag, `${tag}-v1`])));
+    });
+
+    it('stores the current version of each static tag with the result', async () => {
+      const func = memoize(cacheClient, { ...opts, tags: ['programme'], tagVersions }, wrappable);
+
+      await func();
+      sinon.assert.calledWith(tagVersions.ensure, ['programme']);
+      sinon.assert.calledWith(cacheClient.set, sinon.match.any, sinon.match({ tags: { programme: 'programme-v1' } }));
+    });
 
+    it('computes tags from the result and arguments', async () => {
+      const tags = sandbox.stub().returns(['programme:b00']);
+      const func = memoize(cacheClient, { ...opts, tags, tagVersions }, () => Promise.resolve({ pid: 'b00' }));
+
+      await func('b00', 'en');
+      sinon.assert.calledWith(tags, { pid: 'b00' }, ['b00', 'en']);
+      sinon.assert.calledWith(cacheClient.set, sinon.match.any, sinon.match({ tags: { 'programme:b00': 'programme:b00-v1' } }));
+    });
+
+    it('does not record tags when there are none', async () => {
+      const func = memoize(cacheClient, { ...opts, tags: () => [], tagVersions }, wrappable);
+
+      await func();
+      sinon.assert.notCalled(tagVersions.ensure);
+      assert.notProperty(cacheClient.set.firstCall.args[1], 'tags');
+    });
+
+    it('returns an error if the tags function does not return an array of strings', async () => {
+      const func = memoize(cacheClient, { ...opts, tags: () => 'programme', tagVersions }, wrappable);
 
       try {
         await func();
-      } catch (error) {
-        assert.ok(error);
-        return sinon.assert.calledWith(statsClient.increment, 'ceych.errors');
+      } catch (err) {
+        return assert.strictEqual(err.message, 'tags function must return an array of strings, received [programme]');
       }
       assert.fail('Expected error to be returned!');
     });
 
-    it('records the write time in a StatsD timing stat', async () => {
-      const func = memoize(cacheClient, optsWithStats, wrappable);
-      
+    it('returns cached results while their tag versions are current', async () => {
+      cacheClient.get.resolves({ item: { ...cachedEntry('cached', 0).item, tags: { programme: 'programme-v1' } } });
+      const wrappableStub = sandbox.stub().resolves('new');
+      const func = memoize(cacheClient, { ...opts, tags: ['programme'], tagVersions }, wrappableStub);
+
+      assert.strictEqual(await func(), 'cached');
+      sinon.assert.calledWith(tagVersions.current, ['programme']);
+      sinon.assert.notCalled(wrappableStub);
+    });
+
+    it('treats cached results as a miss once one of their tags has a new version', async () => {
+      cacheClient.get.resolves({ item: { ...cachedEntry('cached', 0).item, tags: { programme: 'programme-v0' } } });
+      const wrappableStub = sandbox.stub().resolves('new');
+      const func = memoize(cacheClient, { ...opts, tags: ['programme'], tagVersions }, wrappableStub);
+
+      assert.strictEqual(await func(), 'new');
+    });
+
+    it('does not return invalidated results if the wrapped function fails', async () => {
+      cacheClient.get.resolves({ item: { ...cachedEntry('cached', 0).item, tags: { programme: 'programme-v0' } } });
+      const func = memoize(cacheClient, { ...opts, staleIfError: 60, tagVersions }, sandbox.stub().rejects(new Error('Function Error!')));
+
+      try {
+        await func();
+      } catch (err) {
+        return assert.strictEqual(err.message, 'Function Error!');
+      }
+      assert.fail('Expected error to be returned!');
+    });
+
+    it('reads the versions of static tags before calling the function', async () => {
+      const wrappableStub = sandbox.stub().resolves(1);
+      const func = memoize(cacheClient, { ...opts, tags: ['programme'], tagVersions }, wrappableStub);
+
       await func();
-      sinon.assert.calledWith(statsClient.timing, 'ceych.write_time');
+      sinon.assert.callOrder(tagVersions.ensure, wrappableStub);
+    });
+
+    it('checks computed tags against the time the call started', async () => {
+      const clock = sandbox.useFakeTimers(1000);
+      const func = memoize(cacheClient, { ...opts, tags: () => ['programme'], tagVersions }, () => {
+        clock.tick(50);
+        return Promise.resolve(1);
+      });
+
+      await func();
+      sinon.assert.calledWith(tagVersions.ensure, ['programme'], 1000);
+    });
+
+    it('does not write the result when one of its tags was replaced during the call', async () => {
+      const statsClient = {
+        increment: sandbox.stub(),
+        timing: sandbox.stub()
+      };
+      tagVersions.ensure.resolves(null);
+      const func = memoize(cacheClient, { ...opts, statsClient, tags: () => ['programme'], tagVersions }, wrappable);
+
+      assert.strictEqual(await func(), 1);
+      sinon.assert.notCalled(cacheClient.set);
+      sinon.assert.calledWith(statsClient.increment, 'ceych.tag_conflicts');
+    });
+  });
+
+  describe('stale while revalidate', () => {
+    let staleOpts;
+
+    beforeEach(() => {
+      staleOpts = _.cloneDeep(opts);
+      staleOpts.staleWhileRevalidate = 60;
+    });
+
+    it('keeps entries in the cache for the TTL plus the stale window', async () => {
+      const func = memoize(cacheClient, staleOpts, wrappable);
+
+      await func();
+      sinon.assert.calledWith(cacheClient.set, sinon.match.any, sinon.match.any, 90000);
+    });
+
+    it('returns a fresh entry without calling the wrapped function', async () => {
+      cacheClient.get.resolves(cachedEntry('cached', 10));
+      const wrappableStub = sandbox.stub().resolves('new');
+      const func = memoize(cacheClient, staleOpts, wrappableStub);
+
+      const result = await func();
+      assert.strictEqual(result, 'cached');
+      sinon.assert.notCalled(wrappableStub);
+    });
+
+    it('returns a stale entry straight away and refreshes it in the background', async () => {
+      cacheClient.get.resolves(cachedEntry('cached', 60));
+      const wrappableStub = sandbox.stub().resolves('new');
+      const func = memoize(cacheClient, staleOpts, wrappableStub);
+
+      const result = await func();
+      assert.strictEqual(result, 'cached');
+      sinon.assert.calledOnce(wrappableStub);
+
+      await new Promise(setImmediate);
+      sinon.assert.calledWith(cacheClient.set, sinon.match.any, sinon.match({ value: 'new' }));
+    });
+
+    it('only starts one refresh for concurrent stale hits', async () => {
+      cacheClient.get.resolves(cachedEntry('cached', 60));
+      const wrappableStub = sandbox.stub().resolves('new');
+      const func = memoize(cacheClient, staleOpts, wrappableStub);
+
+      await Promise.all([func(), func(), func()]);
+      sinon.assert.calledOnce(wrappableStub);
+    });
+
+    it('does not surface errors from a background refresh', async () => {
+      cacheClient.get.resolves(cachedEntry('cached', 60));
+      const wrappableStub = sandbox.stub().rejects(new Error('Function Error!'));
+      const func = memoize(cacheClient, staleOpts, wrappableStub);
+
+      const result = await func();
+      await new Promise(setImmediate);
+      assert.strictEqual(result, 'cached');
+    });
+
+    it('calls the wrapped function when an entry is past its stale window', async () => {
+      cacheClient.get.resolves(cachedEntry('cached', 120));
+      const wrappableStub = sandbox.stub().resolves('new');
+      const func = memoize(cacheClient, staleOpts, wrappableStub);
+
+      const result = await func();
+      assert.strictEqual(result, 'new');
+    });
+
+    it('treats an entry past its TTL as expired when there is no stale window', async () => {
+      cacheClient.get.resolves(cachedEntry('cached', 60));
+      const wrappableStub = sandbox.stub().resolves('new');
+      const func = memoize(cacheClient, opts, wrappableStub);
+
+      const result = await func();
+      assert.strictEqual(result, 'new');
+    });
+  });
+
+  describe('error caching', () => {
+    let errorOpts;
+
+    function cachedError(message, age) {
+      const reply = cachedEntry({ name: 'Error', message, props: { statusCode: 404 } }, age);
+      reply.item.ttl = 5000;
+      reply.item.error = true;
+      return reply;
+    }
+
+    beforeEach(() => {
+      errorOpts = { ...opts, errorTTL: 5 };
+    });
+
+    it('caches errors from the wrapped function for the error TTL', async () => {
+      const func = memoize(cacheClient, errorOpts, sandbox.stub().rejects(Object.assign(new Error('Not found'), { statusCode: 404 })));
+
+      try {
+        await func();
+      } catch (err) {
+        assert.strictEqual(err.message, 'Not found');
+        return sinon.assert.calledWith(cacheClient.set, sinon.match.object, sinon.match({
+          error: true,
+          ttl: 5000,
+          value: { name: 'Error', message: 'Not found', props: { statusCode: 404 } }
+        }), 5000);
+      }
+      assert.fail('Expected error to be returned!');
+    });
+
+    it('caches errors with circular properties without them', async () => {
+      const err = Object.assign(new Error('Not found'), { statusCode: 404 });
+      err.self = err;
+      const func = memoize(cacheClient, errorOpts, sandbox.stub().rejects(err));
+
+      try {
+        await func();
+      } catch (err) {
+        return sinon.assert.calledWith(cacheClient.set, sinon.match.object, sinon.match({
+          value: { name: 'Error', message: 'Not found', props: { statusCode: 404 } }
+        }));
+      }
+      assert.fail('Expected error to be returned!');
+    });
+
+    it('does not cache errors without an error TTL', async () => {
+      const func = memoize(cacheClient, opts, sandbox.stub().rejects(new Error('Not found')));
+
+      try {
+        await func();
+      } catch (err) {
+        return sinon.assert.notCalled(cacheClient.set);
+      }
+      assert.fail('Expected error to be returned!');
+    });
+
+    it('only caches errors accepted by the error filter', async () => {
+      errorOpts.errorFilter = (err) => err.statusCode === 404;
+      const func = memoize(cacheClient, errorOpts, sandbox.stub().rejects(new Error('Timed out')));
+
+      try {
+        await func();
+      } catch (err) {
+        return sinon.assert.notCalled(cacheClient.set);
+      }
+      assert.fail('Expected error to be returned!');
+    });
+
+    it('rethrows a cached error without calling the wrapped function', async () => {
+      cacheClient.get.resolves(cachedError('Not found', 1));
+      const wrappableStub = sandbox.stub().resolves(1);
+      const func = memoize(cacheClient, errorOpts, wrappableStub);
+
+      try {
+        await func();
+      } catch (err) {
+        assert.instanceOf(err, Error);
+        assert.strictEqual(err.message, 'Not found');
+        assert.strictEqual(err.statusCode, 404);
+        return sinon.assert.notCalled(wrappableStub);
+      }
+      assert.fail('Expected error to be returned!');
+    });
+
+    it('calls the wrapped function once a cached error has expired', async () => {
+      cacheClient.get.resolves(cachedError('Not found', 10));
+      const func = memoize(cacheClient, { ...errorOpts, staleIfError: 60 }, sandbox.stub().resolves(1));
+
+      const result = await func();
+      assert.strictEqual(result, 1);
+    });
+
+    it('returns the error if caching it fails', async () => {
+      cacheClient.set.rejects(new Error('Cache Error!'));
+      const func = memoize(cacheClient, errorOpts, sandbox.stub().rejects(new Error('Not found')));
+
+      try {
+        await func();
+      } catch (err) {
+        return assert.strictEqual(err.message, 'Not found');
+      }
+      assert.fail('Expected error to be returned!');
+    });
+
+    it('does not replace a stale entry with the error from a failed refresh', async () => {
+      cacheClient.get.resolves(cachedEntry('cached', 60));
+      const func = memoize(cacheClient, { ...errorOpts, staleWhileRevalidate: 300 }, sandbox.stub().rejects(new Error('Not found')));
+
+      const result = await func();
+      await new Promise((resolve) => setImmediate(resolve));
+      assert.strictEqual(result, 'cached');
+      sinon.assert.notCalled(cacheClient.set);
+    });
+
+    it('increments a StatsD counter for cached errors', async () => {
+      const statsClient = {
+        increment: sandbox.stub(),
+        timing: sandbox.stub()
+      };
+      cacheClient.get.resolves(cachedError('Not found', 1));
+      const func = memoize(cacheClient, { ...errorOpts, statsClient }, wrappable);
+
+      try {
+        await func();
+      } catch (err) {
+        return sinon.assert.calledWith(statsClient.increment, 'ceych.error_hits');
+      }
+      assert.fail('Expected error to be returned!');
+    });
+  });
+
+  describe('early refresh', () => {
+    function computedEntry(value, age, delta) {
+      const reply = cachedEntry(value, age);
+      reply.item.delta = delta;
+      return reply;
+    }
+
+    it('stores how long the wrapped function took with the result', async () => {
+      const func = memoize(cacheClient, opts, wrappable);
+
+      await func();
+      sinon.assert.calledWith(cacheClient.set, sinon.match.any, sinon.match({ delta: sinon.match.number }));
+    });
+
+    it('returns a fresh entry and refreshes it in the background when it is chosen for early refresh', async () => {
+      sandbox.stub(Math, 'random').returns(0.1);
+      cacheClient.get.resolves(computedEntry('cached', 29, 1000));
+      const wrappableStub = sandbox.stub().resolves('new');
+      const func = memoize(cacheClient, { ...opts, earlyRefresh: 1 }, wrappableStub);
+
+      const result = await func();
+      assert.strictEqual(result, 'cached');
+      sinon.assert.calledOnce(wrappableStub);
+
+      await new Promise(setImmediate);
+      sinon.assert.calledWith(cacheClient.set, sinon.match.any, sinon.match({ value: 'new' }));
+    });
+
+    it('does not refresh entries far from expiring', async () => {
+      sandbox.stub(Math, 'random').returns(0.1);
+      cacheClient.get.resolves(computedEntry('cached', 10, 1000));
+      const wrappableStub = sandbox.stub().resolves('new');
+      const func = memoize(cacheClient, { ...opts, earlyRefresh: 1 }, wrappableStub);
+
+      await func();
+      sinon.assert.notCalled(wrappableStub);
+    });
+
+    it('does not refresh early by default', async () => {
+      sandbox.stub(Math, 'random').returns(0);
+      cacheClient.get.resolves(computedEntry('cached', 29, 1000));
+      const wrappableStub = sandbox.stub().resolves('new');
+      const func = memoize(cacheClient, opts, wrappableStub);
+
+      await func();
+      sinon.assert.notCalled(wrappableStub);
+    });
+
+    it('increments a StatsD counter for early refreshes', async () => {
+      const statsClient = {
+        increment: sandbox.stub(),
+        timing: sandbox.stub()
+      };
+      sandbox.stub(Math, 'random').returns(0.1);
+      cacheClient.get.resolves(computedEntry('cached', 29, 1000));
+      const func = memoize(cacheClient, { ...opts, earlyRefresh: 1, statsClient }, wrappable);
+
+      await func();
+      sinon.assert.calledWith(statsClient.increment, 'ceych.early_refreshes');
+      sinon.assert.calledWith(statsClient.increment, 'ceych.hits');
+    });
+  });
+
+  describe('TTL jitter', () => {
+    it('shortens the TTL by a random fraction of up to the jitter', async () => {
+      sandbox.stub(Math, 'random').returns(0.5);
+      const func = memoize(cacheClient, { ...opts, ttlJitter: 0.2 }, wrappable);
+
+      await func();
+      sinon.assert.calledWith(cacheClient.set, sinon.match.any, sinon.match({ ttl: 27000 }), 27000);
+    });
+
+    it('keeps the stale windows after the shortened TTL', async () => {
+      sandbox.stub(Math, 'random').returns(0.5);
+      const func = memoize(cacheClient, { ...opts, ttlJitter: 0.2, staleWhileRevalidate: 60 }, wrappable);
+
+      await func();
+      sinon.assert.calledWith(cacheClient.set, sinon.match.any, sinon.match.any, 87000);
+    });
+  });
+
+  describe('events', () => {
+    let emit;
+
+    beforeEach(() => {
+      emit = sandbox.stub();
+    });
+
+    it('emits a miss and then a set event when the result is not cached', async () => {
+      const func = memoize(cacheClient, { ...opts, name: 'getProgramme', emit }, wrappable);
+
+      await func();
+      sinon.assert.calledWith(emit.firstCall, 'miss', sinon.match({ func: 'getProgramme', key: 'hashed', duration: sinon.match.number }));
+      sinon.assert.calledWith(emit.secondCall, 'set', sinon.match({ func: 'getProgramme', key: 'hashed', duration: sinon.match.number, ttl: 30 }));
+    });
+
+    it('emits a hit event with the TTL of the cached result', async () => {
+      cacheClient.get.resolves(cachedEntry(1, 10));
+      const func = memoize(cacheClient, { ...opts, emit }, wrappable);
+
+      await func();
+      sinon.assert.calledOnce(emit);
+      sinon.assert.calledWith(emit, 'hit', sinon.match({ func: 'wrappable', key: 'hashed', ttl: 30 }));
+    });
+
+    it('emits a stale event when a stale result is returned', async () => {
+      cacheClient.get.resolves(cachedEntry(1, 40));
+      const func = memoize(cacheClient, { ...opts, staleWhileRevalidate: 60, emit }, wrappable);
+
+      await func();
+      sinon.assert.calledWith(emit, 'stale', sinon.match({ key: 'hashed' }));
+      sinon.assert.neverCalledWith(emit, 'hit');
+    });
+
+    it('emits an error event when reading from the cache fails', async () => {
+      const err = new Error('Cache Error!');
+      cacheClient.get.rejects(err);
+      const func = memoize(cacheClient, { ...opts, emit }, wrappable);
+
+      try {
+        await func();
+      } catch (e) {
+        return sinon.assert.calledWith(emit, 'error', sinon.match({ key: 'hashed', error: err, operation: 'read' }));
+      }
+      assert.fail('Expected error to be returned!');
+    });
+
+    it('emits a bypass event when failing open', async () => {
+      cacheClient.get.rejects(new Error('Cache Error!'));
+      const func = memoize(guard(cacheClient), { ...opts, failOpen: true, emit }, wrappable);
+
+      await func();
+      sinon.assert.calledWith(emit, 'bypass', sinon.match({ key: 'hashed', error: sinon.match.instanceOf(Error) }));
+    });
+
+    it('emits a bypass event when the cache client is not ready', async () => {
+      cacheClient.isReady.returns(false);
+      const func = memoize(cacheClient, { ...opts, emit }, wrappable);
+
+      await func();
+      sinon.assert.calledOnce(emit);
+      sinon.assert.calledWith(emit, 'bypass', { func: 'wrappable' });
+    });
+
+    it('emits a hit event for a cached error', async () => {
+      cacheClient.get.resolves({ item: { ...cachedEntry({ message: 'Not found' }, 10).item, error: true } });
+      const func = memoize(cacheClient, { ...opts, emit }, wrappable);
+
+      try {
+        await func();
+      } catch (err) {
+        sinon.assert.calledOnce(emit);
+        return sinon.assert.calledWith(emit, 'hit', sinon.match({ key: 'hashed', ttl: 30, error: true }));
+      }
+      assert.fail('Expected error to be returned!');
+    });
+  });
+
+  describe('tracing', () => {
+    let tracer;
+
+    beforeEach(() => {
+      tracer = createTracer();
+    });
+
+    it('creates a span for the call, with child spans for reading the cache, the function and writing the cache', async () => {
+      const func = memoize(cacheClient, { ...opts, name: 'getProgramme', tracer }, wrappable);
+
+      await func();
+      const [call, get, fn, set] = tracer.spans;
+      assert.deepEqual(tracer.spans.map(({ name }) => name), ['ceych.call', 'ceych.get', 'ceych.fn', 'ceych.set']);
+      assert.isUndefined(call.parent);
+      [get, fn, set].forEach((span) => assert.strictEqual(span.parent, call));
+      assert.isTrue(tracer.spans.every(({ ended }) => ended));
+      assert.include(call.attributes, { 'ceych.function': 'getProgramme', 'ceych.result': 'miss', 'ceych.key': 'hashed' });
+      assert.include(get.attributes, { 'ceych.key': 'hashed', 'ceych.hit': false });
+      assert.include(set.attributes, { 'ceych.key': 'hashed', 'ceych.ttl': 30, 'ceych.payload_size': 1 });
+    });
+
+    it('records hits and their payload size', async () => {
+      cacheClient.get.resolves(cachedEntry('b00', 10));
+      const func = memoize(cacheClient, { ...opts, tracer }, wrappable);
+
+      await func();
+      const [call, get] = tracer.spans;
+      assert.strictEqual(call.attributes['ceych.result'], 'hit');
+      assert.include(get.attributes, { 'ceych.hit': true, 'ceych.tier': 'l2', 'ceych.payload_size': 3 });
+    });
+
+    it('calls the function with its span active, so that spans it starts are children of the call', async () => {
+      let activeSpan;
+      const func = memoize(cacheClient, { ...opts, tracer }, () => {
+        activeSpan = tracer.activeSpan();
+        return Promise.resolve(1);
+      });
+
+      await func();
+      assert.strictEqual(activeSpan.name, 'ceych.fn');
+      assert.strictEqual(activeSpan.parent.name, 'ceych.call');
+    });
+
+    it('records errors from the function on its span and the call\'s', async () => {
+      const err = new Error('Upstream Error!');
+      const func = memoize(cacheClient, { ...opts, tracer }, () => Promise.reject(err));
+
+      await func().catch(() => {});
+      const [call, , fn] = tracer.spans;
+      assert.strictEqual(fn.exception, err);
+      assert.strictEqual(call.exception, err);
+      assert.strictEqual(call.status.code, 2);
+    });
+  });
+
+  describe('background writes', () => {
+    const backgroundOpts = { ...opts, writeMode: 'background' };
+
+    it('returns the result without waiting for it to be cached', async () => {
+      cacheClient.set.returns(new Promise(() => {}));
+      const func = memoize(cacheClient, backgroundOpts, wrappable);
+
+      const result = await func();
+      assert.strictEqual(result, 1);
+      sinon.assert.calledOnce(cacheClient.set);
+    });
+
+    it('returns the result when caching it fails', async () => {
+      cacheClient.set.rejects(new Error('Cache Error!'));
+      const func = memoize(cacheClient, backgroundOpts, wrappable);
+
+      const result = await func();
+      assert.strictEqual(result, 1);
+    });
+
+    it('passes errors from caching the result to the write error hook', async () => {
+      const err = new Error('Cache Error!');
+      const onWriteError = sandbox.stub();
+      cacheClient.set.rejects(err);
+      const func = memoize(cacheClient, { ...backgroundOpts, onWriteError }, wrappable);
+
+      await func();
+      await new Promise(setImmediate);
+      sinon.assert.calledWith(onWriteError, err, sinon.match({ id: sinon.match.string }));
+    });
+
+    it('ignores errors thrown by the write error hook', async () => {
+      const onWriteError = sandbox.stub().throws(new Error('Hook Error!'));
+      cacheClient.set.rejects(new Error('Cache Error!'));
+      const func = memoize(cacheClient, { ...backgroundOpts, onWriteError }, wrappable);
+
+      await func();
+      await new Promise(setImmediate);
+      sinon.assert.calledOnce(onWriteError);
+    });
+
+    it('rethrows errors from the wrapped function without waiting for them to be cached', async () => {
+      cacheClient.set.returns(new Promise(() => {}));
+      const func = memoize(cacheClient, { ...backgroundOpts, errorTTL: 5 }, () => Promise.reject(new Error('Upstream Error!')));
+
+      try {
+        await func();
+      } catch (err) {
+        sinon.assert.calledOnce(cacheClient.set);
+        return assert.strictEqual(err.message, 'Upstream Error!');
+      }
+      assert.fail('Expected error to be returned!');
+    });
+
+    it('increments StatsD counters when caching fails in the background', async () => {
+      const statsClient = {
+        increment: sandbox.stub(),
+        timing: sandbox.stub()
+      };
+      cacheClient.set.rejects(new Error('command timed out'));
+      const func = memoize(cacheClient, { ...backgroundOpts, statsClient }, wrappable);
+
+      await func();
+      await new Promise(setImmediate);
+      sinon.assert.calledWith(statsClient.increment, 'ceych.errors');
+      sinon.assert.calledWith(statsClient.increment, 'ceych.command_timed_out');
+    });
+
+    it('records the write time of background writes in a StatsD timing stat', async () => {
+      const statsClient = {
+        increment: sandbox.stub(),
+        timing: sandbox.stub()
+      };
+      const func = memoize(cacheClient, { ...backgroundOpts, statsClient }, wrappable);
+
+      await func();
+      await new Promise(setImmediate);
+      sinon.assert.calledWith(statsClient.timing, 'ceych.write_time', sinon.match.number);
+    });
+  });
+
+  describe('failing open', () => {
+    let guarded;
+
+    beforeEach(() => {
+      guarded = guard(cacheClient);
+    });
+
+    it('calls the wrapped function when reading from the cache fails', async () => {
+      cacheClient.get.rejects(new Error('Cache Error!'));
+      const func = memoize(guarded, { ...opts, failOpen: true }, wrappable);
+
+      const result = await func();
+      assert.strictEqual(result, 1);
+      sinon.assert.notCalled(cacheClient.set);
+    });
+
+    it('returns the result when writing to the cache fails', async () => {
+      cacheClient.set.rejects(new Error('Cache Error!'));
+      const func = memoize(guarded, { ...opts, failOpen: true }, wrappable);
+
+      const result = await func();
+      assert.strictEqual(result, 1);
+    });
+
+    it('still returns errors from building the key', async () => {
+      const func = memoize(guarded, { ...opts, failOpen: true, key: () => 1 }, wrappable);
+
+      try {
+        await func();
+      } catch (err) {
+        return assert.match(err.message, /^Failed to create cache key/);
+      }
+      assert.fail('Expected error to be returned!');
+    });
+
+    it('returns errors from the cache when not failing open', async () => {
+      cacheClient.get.rejects(new Error('Cache Error!'));
+      const func = memoize(guarded, opts, wrappable);
+
+      try {
+        await func();
+      } catch (err) {
+        return assert.strictEqual(err.message, 'Cache Error!');
+      }
+      assert.fail('Expected error to be returned!');
+    });
+
+    it('always calls the wrapped function directly while the circuit is open', async () => {
+      const circuitBreaker = new CircuitBreaker({ threshold: 1 });
+      circuitBreaker.failure();
+      const func = memoize(guard(cacheClient, { circuitBreaker }), opts, wrappable);
+
+      const result = await func();
+      assert.strictEqual(result, 1);
+      sinon.assert.notCalled(cacheClient.get);
+      sinon.assert.notCalled(cacheClient.set);
+    });
+
+    it('increments a StatsD counter when failing open', async () => {
+      const statsClient = {
+        increment: sandbox.stub(),
+        timing: sandbox.stub()
+      };
+      cacheClient.get.rejects(new Error('Cache Error!'));
+      const func = memoize(guarded, { ...opts, failOpen: true, statsClient }, wrappable);
+
+      await func();
+      sinon.assert.calledWith(statsClient.increment, 'ceych.fail_open');
+      sinon.assert.calledWith(statsClient.increment, 'ceych.errors');
+    });
+  });
+
+  describe('stale if error', () => {
+    let staleOpts;
+
+    beforeEach(() => {
+      staleOpts = _.cloneDeep(opts);
+      staleOpts.staleIfError = 300;
+    });
+
+    it('keeps entries in the cache for the TTL plus the stale if error window', async () => {
+      const func = memoize(cacheClient, staleOpts, wrappable);
+
+      await func();
+      sinon.assert.calledWith(cacheClient.set, sinon.match.any, sinon.match.any, 330000);
+    });
+
+    it('keeps entries for the longest of the stale windows', async () => {
+      staleOpts.staleWhileRevalidate = 600;
+      const func = memoize(cacheClient, staleOpts, wrappable);
+
+      await func();
+      sinon.assert.calledWith(cacheClient.set, sinon.match.any, sinon.match.any, 630000);
+    });
+
+    it('calls the wrapped function when an entry has passed its TTL', async () => {
+      cacheClient.get.resolves(cachedEntry('cached', 60));
+      const wrappableStub = sandbox.stub().resolves('new');
+      const func = memoize(cacheClient, staleOpts, wrappableStub);
+
+      const result = await func();
+      assert.strictEqual(result, 'new');
+    });
+
+    it('returns the expired entry if the wrapped function fails', async () => {
+      cacheClient.get.resolves(cachedEntry('cached', 60));
+      const wrappableStub = sandbox.stub().rejects(new Error('Function Error!'));
+      const func = memoize(cacheClient, staleOpts, wrappableStub);
+
+      const result = await func();
+      assert.strictEqual(result, 'cached');
+      sinon.assert.notCalled(cacheClient.set);
+    });
+
+    it('returns the error if the entry is past its stale if error window', async () => {
+      cacheClient.get.resolves(cachedEntry('cached', 600));
+      const wrappableStub = sandbox.stub().rejects(new Error('Function Error!'));
+      const func = memoize(cacheClient, staleOpts, wrappableStub);
+
+      try {
+        await func();
+      } catch (err) {
+        return assert.strictEqual(err.message, 'Function Error!');
+      }
+      assert.fail('Expected error to be returned!');
+    });
+
+    it('returns the error if there is no stale if error window', async () => {
+      cacheClient.get.resolves(cachedEntry('cached', 60));
+      const wrappableStub = sandbox.stub().rejects(new Error('Function Error!'));
+      const func = memoize(cacheClient, opts, wrappableStub);
+
+      try {
+        await func();
+      } catch (err) {
+        return assert.strictEqual(err.message, 'Function Error!');
+      }
+      assert.fail('Expected error to be returned!');
+    });
+
+    it('returns an error from saving to the cache rather than the expired entry', async () => {
+      cacheClient.get.resolves(cachedEntry('cached', 60));
+      cacheClient.set.rejects(new Error('SET Error!'));
+      const func = memoize(cacheClient, staleOpts, wrappable);
+
+      try {
+        await func();
+      } catch (err) {
+        return assert.strictEqual(err.message, 'SET Error!');
+      }
+      assert.fail('Expected error to be returned!');
+    });
+  });
+
+  describe('coalescing', () => {
+    function deferred() {
+      let resolve;
+      let reject;
+      const promise = new Promise((res, rej) => {
+        resolve = res;
+        reject = rej;
+      });
+      return { promise, resolve, reject };
+    }
+
+    it('calls the wrapped function once for concurrent misses on the same key', async () => {
+      const result = deferred();
+      const wrappableStub = sandbox.stub().returns(result.promise);
+      const func = memoize(cacheClient, opts, wrappableStub);
+
+      const first = func();
+      const second = func();
+      result.resolve(1);
+
+      assert.deepEqual(await Promise.all([first, second]), [1, 1]);
+      sinon.assert.calledOnce(wrappableStub);
+      sinon.assert.calledOnce(cacheClient.set);
+    });
+
+    it('does not coalesce calls with different arguments', async () => {
+      hash.create.restore();
+      const wrappableStub = sandbox.stub().resolves(1);
+      const func = memoize(cacheClient, opts, wrappableStub);
+
+      await Promise.all([func('hello'), func('bonjour')]);
+      sinon.assert.calledTwice(wrappableStub);
+    });
+
+    it('rejects every waiting caller when the wrapped function fails', async () => {
+      const result = deferred();
+      const wrappableStub = sandbox.stub().returns(result.promise);
+      const func = memoize(cacheClient, opts, wrappableStub);
+
+      const calls = [func(), func()].map((call) => call.catch((err) => err));
+      result.reject(new Error('Function Error!'));
+
+      const errors = await Promise.all(calls);
+      errors.forEach((err) => assert.strictEqual(err.message, 'Function Error!'));
+      sinon.assert.calledOnce(wrappableStub);
+      sinon.assert.notCalled(cacheClient.set);
+    });
+
+    it('calls the wrapped function again once the in-flight call has settled', async () => {
+      const wrappableStub = sandbox.stub();
+      wrappableStub.onFirstCall().rejects(new Error('Function Error!'));
+      wrappableStub.onSecondCall().resolves(1);
+      const func = memoize(cacheClient, opts, wrappableStub);
+
+      try {
+        await func();
+      } catch (err) {
+        assert.strictEqual(err.message, 'Function Error!');
+      }
+
+      const results = await func();
+      assert.strictEqual(results, 1);
+      sinon.assert.calledTwice(wrappableStub);
+    });
+  });
+
+  describe('wrapped function parameters', () => {
+    it('returns an error when one of the arguments cannot be stringified', async () => {
+      const func = memoize(cacheClient, opts, wrappable);
+
+      try {
+        await func(new Circular());
+      } catch (err) {
+        return assert.match(err.message, /Failed to create cache key from arguments: Converting circular structure to JSON/);
+      }
+      assert.fail('Expected error to be returned!');
+    });
+
+    it('returns an error describing where a circular reference is with the canonical serializer', async () => {
+      const func = memoize(cacheClient, { ...opts, keySerializer: 'canonical' }, wrappable);
+
+      try {
+        await func(new Circular());
+      } catch (err) {
+        return assert.strictEqual(err.message, 'Failed to create cache key from arguments: Circular reference at args[0].circular');
+      }
+      assert.fail('Expected error to be returned!');
+    });
+  });
+
+  describe('stats', () => {
+    let statsClient;
+    let optsWithStats;
+
+    beforeEach(() => {
+      statsClient = {
+        increment: sandbox.stub(),
+        timing: sandbox.stub(),
+      };
+
+      optsWithStats = _.cloneDeep(opts);
+      optsWithStats.statsClient = statsClient;
+    });
+
+    it('increments a StatsD counter every time there is a cache miss', async () => {
+      const func = memoize(cacheClient, optsWithStats, wrappable);
+
+      await func();
+      sinon.assert.calledWith(statsClient.increment, 'ceych.misses');
+    });
+
+    it('increments a StatsD counter every time there is a cache hit', async () => {
+      cacheClient.get.returns(Promise.resolve({ item: 1 }));
+      const func = memoize(cacheClient, optsWithStats, wrappable);
+
+      await func();
+      sinon.assert.calledWith(statsClient.increment, 'ceych.hits');
+    });
+
+    it('increments a StatsD counter when fetching from the cache returns an error', async () => {
+      cacheClient.get.returns(Promise.reject(new Error('error')));
+      const func = memoize(cacheClient, optsWithStats, wrappable);
+
+      try {
+        await func();
+      } catch (error) {
+        assert.ok(error);
+        return sinon.assert.calledWith(statsClient.increment, 'ceych.errors');
+      }
+      assert.fail('Expected error to be returned!');
+    });
+
+    it('increments a StatsD counter when saving to the cache returns an error', async () => {
+      cacheClient.set.returns(Promise.reject(new Error('error')));
+      const func = memoize(cacheClient, optsWithStats, wrappable);
+
+
+      try {
+        await func();
+      } catch (error) {
+        assert.ok(error);
+        return sinon.assert.calledWith(statsClient.increment, 'ceych.errors');
+      }
+      assert.fail('Expected error to be returned!');
+    });
+
+    it('increments a StatsD counter when a call is coalesced with one already in flight', async () => {
+      const func = memoize(cacheClient, optsWithStats, wrappable);
+
+      await Promise.all([func(), func()]);
+      sinon.assert.calledWith(statsClient.increment, 'ceych.coalesced');
+    });
+
+    it('increments StatsD counters for stale hits and the refreshes they start', async () => {
+      cacheClient.get.resolves(cachedEntry(1, 60));
+      optsWithStats.staleWhileRevalidate = 60;
+      const func = memoize(cacheClient, optsWithStats, wrappable);
+
+      await func();
+      sinon.assert.calledWith(statsClient.increment, 'ceych.stale_hits');
+      sinon.assert.calledWith(statsClient.increment, 'ceych.refreshes');
+      sinon.assert.neverCalledWith(statsClient.increment, 'ceych.hits');
+    });
+
+    it('increments a StatsD counter when an expired result is returned because the function failed', async () => {
+      cacheClient.get.resolves(cachedEntry(1, 60));
+      optsWithStats.staleIfError = 60;
+      const func = memoize(cacheClient, optsWithStats, sandbox.stub().rejects(new Error('Function Error!')));
+
+      await func();
+      sinon.assert.calledWith(statsClient.increment, 'ceych.stale_if_error');
+    });
+
+    it('increments a StatsD counter when an entry was written with a different codec', async () => {
+      cacheClient.get.resolves(cachedEntry(1, 0));
+      optsWithStats.codec = 'structured';
+      const func = memoize(cacheClient, optsWithStats, wrappable);
+
+      await func();
+      sinon.assert.calledWith(statsClient.increment, 'ceych.codec_mismatches');
+      sinon.assert.calledWith(statsClient.increment, 'ceych.misses');
+    });
+
+    it('records the compressed size and compression ratio in StatsD timing stats', async () => {
+      optsWithStats.compression = { threshold: 0 };
+      const func = memoize(cacheClient, optsWithStats, () => Promise.resolve('ceych '.repeat(1000)));
+
+      await func();
+      sinon.assert.calledWith(statsClient.timing, 'ceych.compressed_bytes', sinon.match.number);
+      sinon.assert.calledWith(statsClient.timing, 'ceych.compression_ratio', sinon.match((ratio) => ratio > 0 && ratio < 1));
+    });
+
+    it('increments StatsD counters that tell L1 hits apart from L2 hits', async () => {
+      cacheClient.get.resolves(cachedEntry(1, 0));
+      optsWithStats.l1 = new LRU();
+      const func = memoize(cacheClient, optsWithStats, wrappable);
+
+      await func();
+      sinon.assert.calledWith(statsClient.increment, 'ceych.l2_hits');
+      sinon.assert.neverCalledWith(statsClient.increment, 'ceych.l1_hits');
+
+      await func();
+      sinon.assert.calledWith(statsClient.increment, 'ceych.l1_hits');
+      sinon.assert.calledTwice(statsClient.increment.withArgs('ceych.hits'));
+    });
+
+    it('increments a StatsD counter when a cached result has been invalidated by a tag', async () => {
+      cacheClient.get.resolves({ item: { ...cachedEntry(1, 0).item, tags: { programme: 'v0' } } });
+      optsWithStats.tagVersions = sinon.createStubInstance(Versions);
+      optsWithStats.tagVersions.current.resolves({ programme: 'v1' });
+      const func = memoize(cacheClient, optsWithStats, wrappable);
+
+      await func();
+      sinon.assert.calledWith(statsClient.increment, 'ceych.tag_misses');
+    });
+
+    it('records the write time in a StatsD timing stat', async () => {
+      const func = memoize(cacheClient, optsWithStats, wrappable);
+      
+      await func();
+      sinon.assert.calledWith(statsClient.timing, 'ceych.write_time');
+    });
+
+    it('labels every metric with the function and suffix', async () => {
+      const metrics = {
+        increment: sandbox.stub(),
+        timing: sandbox.stub()
+      };
+      const func = memoize(cacheClient, { ...opts, name: 'getProgramme', suffix: 'v2', metrics }, wrappable);
+
+      await func();
+      sinon.assert.calledWith(metrics.increment, 'ceych.misses', { func: 'getProgramme', suffix: 'v2' });
+      sinon.assert.calledWith(metrics.timing, 'ceych.write_time', sinon.match.number, { func: 'getProgramme', suffix: 'v2' });
+    });
+
+    it('counts each call with whether it was a hit and whether it succeeded', async () => {
+      const metrics = {
+        increment: sandbox.stub(),
+        timing: sandbox.stub()
+      };
+      const failing = () => Promise.reject(new Error('Upstream Error!'));
+      cacheClient.get.onFirstCall().resolves(cachedEntry(1, 10));
+      const func = memoize(cacheClient, { ...opts, metrics }, failing);
+
+      await func();
+      await func().catch(() => {});
+      sinon.assert.calledWith(metrics.increment, 'ceych.calls', sinon.match({ result: 'hit', outcome: 'success' }));
+      sinon.assert.calledWith(metrics.increment, 'ceych.calls', sinon.match({ result: 'miss', outcome: 'error' }));
+    });
+
+    it('counts calls that bypass the cache', async () => {
+      const metrics = {
+        increment: sandbox.stub(),
+        timing: sandbox.stub()
+      };
+      cacheClient.isReady.returns(false);
+      const func = memoize(cacheClient, { ...opts, metrics }, wrappable);
+
+      await func();
+      sinon.assert.calledWith(metrics.increment, 'ceych.calls', sinon.match({ result: 'bypass', outcome: 'success' }));
     });
 
     it('records the read time in a StatsD timing stat', async () => {
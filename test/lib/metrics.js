@@ -0,0 +1,94 @@
+'use strict';
+
+const assert = require('chai').assert;
+const sinon = require('sinon');
+const sandbox = sinon.createSandbox();
+
+const metrics = require('../../lib/metrics');
+const { StatsDMetrics, DogStatsDMetrics } = metrics;
+
+describe('metrics', () => {
+  let client;
+
+  beforeEach(() => {
+    client = {
+      increment: sandbox.stub(),
+      timing: sandbox.stub()
+    };
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  describe('StatsDMetrics', () => {
+    it('sends metrics under their global names, without labels', () => {
+      const adapter = new StatsDMetrics(client);
+
+      adapter.increment('ceych.misses', { func: 'getProgramme' });
+      adapter.timing('ceych.read_time', 5, { func: 'getProgramme' });
+      sinon.assert.calledWithExactly(client.increment, 'ceych.misses');
+      sinon.assert.calledWithExactly(client.timing, 'ceych.read_time', 5);
+    });
+  });
+
+  describe('DogStatsDMetrics', () => {
+    it('sends the labels as tags', () => {
+      const adapter = new DogStatsDMetrics(client);
+
+      adapter.increment('ceych.misses', { func: 'getProgramme', suffix: 'v2' });
+      adapter.timing('ceych.read_time', 5, { func: 'getProgramme' });
+      sinon.assert.calledWithExactly(client.increment, 'ceych.misses', 1, 1, ['func:getProgramme', 'suffix:v2']);
+      sinon.assert.calledWithExactly(client.timing, 'ceych.read_time', 5, 1, ['func:getProgramme']);
+    });
+
+    it('leaves out labels without a value', () => {
+      const adapter = new DogStatsDMetrics(client);
+
+      adapter.increment('ceych.misses', { func: 'getProgramme', suffix: '' });
+      sinon.assert.calledWithExactly(client.increment, 'ceych.misses', 1, 1, ['func:getProgramme']);
+    });
+  });
+
+  describe('.resolve', () => {
+    it('returns the metrics adapter when there is one', () => {
+      const adapter = new DogStatsDMetrics(client);
+      assert.strictEqual(metrics.resolve({ metrics: adapter, statsClient: client }), adapter);
+    });
+
+    it('wraps a StatsD client in an adapter', () => {
+      assert.instanceOf(metrics.resolve({ statsClient: client }), StatsDMetrics);
+    });
+
+    it('returns null when there is neither', () => {
+      assert.isNull(metrics.resolve({}));
+    });
+  });
+
+  describe('.withLabels', () => {
+    it('adds the labels to every metric, along with those passed for each one', () => {
+      const adapter = new DogStatsDMetrics(client);
+      const stats = metrics.withLabels(adapter, { func: 'getProgramme' });
+
+      stats.increment('ceych.calls', { result: 'hit' });
+      stats.timing('ceych.write_time', 5);
+      sinon.assert.calledWith(client.increment, 'ceych.calls', 1, 1, ['func:getProgramme', 'result:hit']);
+      sinon.assert.calledWith(client.timing, 'ceych.write_time', 5, 1, ['func:getProgramme']);
+    });
+
+    it('returns a stats client that does nothing when there is no adapter', () => {
+      const stats = metrics.withLabels(null, { func: 'getProgramme' });
+
+      stats.increment('ceych.calls');
+      stats.timing('ceych.write_time', 5);
+    });
+  });
+
+  describe('.isMetrics', () => {
+    it('checks for increment and timing functions', () => {
+      assert.isTrue(metrics.isMetrics(client));
+      assert.isFalse(metrics.isMetrics({ increment: () => {} }));
+      assert.isFalse(metrics.isMetrics(null));
+    });
+  });
+});
@@ -0,0 +1,72 @@
+'use strict';
+
+const assert = require('chai').assert;
+
+const PrometheusMetrics = require('../../lib/prometheus');
+
+describe('PrometheusMetrics', () => {
+  it('renders counters for each set of labels', () => {
+    const registry = new PrometheusMetrics();
+
+    registry.increment('ceych.misses', { func: 'getProgramme' });
+    registry.increment('ceych.misses', { func: 'getProgramme' });
+    registry.increment('ceych.misses', { func: 'getEpisode' });
+
+    assert.strictEqual(registry.metrics(), [
+      '# TYPE ceych_misses_total counter',
+      'ceych_misses_total{func="getProgramme"} 2',
+      'ceych_misses_total{func="getEpisode"} 1',
+      ''
+    ].join('\n'));
+  });
+
+  it('renders timings as histograms', () => {
+    const registry = new PrometheusMetrics({ buckets: [10, 100] });
+
+    registry.timing('ceych.read_time', 5, { func: 'getProgramme' });
+    registry.timing('ceych.read_time', 50, { func: 'getProgramme' });
+
+    assert.strictEqual(registry.metrics(), [
+      '# TYPE ceych_read_time histogram',
+      'ceych_read_time_bucket{func="getProgramme",le="10"} 1',
+      'ceych_read_time_bucket{func="getProgramme",le="100"} 2',
+      'ceych_read_time_bucket{func="getProgramme",le="+Inf"} 2',
+      'ceych_read_time_sum{func="getProgramme"} 55',
+      'ceych_read_time_count{func="getProgramme"} 2',
+      ''
+    ].join('\n'));
+  });
+
+  it('uses buckets for sizes and ratios rather than milliseconds', () => {
+    const registry = new PrometheusMetrics();
+
+    registry.timing('ceych.compression_ratio', 0.3);
+
+    assert.include(registry.metrics(), 'ceych_compression_ratio_bucket{le="0.5"} 1');
+  });
+
+  it('escapes label values', () => {
+    const registry = new PrometheusMetrics();
+
+    registry.increment('ceych.misses', { func: 'say "hi"\n' });
+
+    assert.include(registry.metrics(), 'ceych_misses_total{func="say \\"hi\\"\\n"} 1');
+  });
+
+  it('renders nothing when no metrics have been recorded', () => {
+    assert.strictEqual(new PrometheusMetrics().metrics(), '');
+  });
+
+  it('forgets every metric when reset', () => {
+    const registry = new PrometheusMetrics();
+
+    registry.increment('ceych.misses');
+    registry.reset();
+
+    assert.strictEqual(registry.metrics(), '');
+  });
+
+  it('has the content type of the text format', () => {
+    assert.match(new PrometheusMetrics().contentType, /^text\/plain; version=0.0.4/);
+  });
+});
@@ -0,0 +1,69 @@
+'use strict';
+
+const assert = require('chai').assert;
+const sinon = require('sinon');
+
+const createStore = require('../../lib/store');
+const envelope = require('../../lib/envelope');
+
+const func = () => Promise.resolve(1);
+
+describe('store', () => {
+  let clock;
+  let cacheClient;
+  let store;
+
+  beforeEach(() => {
+    clock = sinon.useFakeTimers(1000000);
+    cacheClient = {
+      get: sinon.stub().resolves(null),
+      set: sinon.stub().resolves()
+    };
+    store = createStore(cacheClient, { ttl: 30, suffix: '' }, func);
+  });
+
+  afterEach(() => {
+    clock.restore();
+  });
+
+  describe('.inspect', () => {
+    it('treats items that are not envelopes as legacy', async () => {
+      assert.strictEqual(await store.inspect('raw'), 'legacy');
+    });
+
+    it('treats entries written with a different codec as a mismatch', async () => {
+      assert.strictEqual(await store.inspect(envelope.create(1, 30, { codec: 'structured' })), 'mismatch');
+    });
+
+    it('treats entries whose tags have new versions as invalidated', async () => {
+      const tagVersions = { current: sinon.stub().resolves({ programme: 'v2' }) };
+      store = createStore(cacheClient, { ttl: 30, suffix: '', tagVersions }, func);
+
+      assert.strictEqual(await store.inspect(envelope.create(1, 30, { tags: { programme: 'v1' } })), 'invalidated');
+    });
+
+    it('reports the freshness of results', async () => {
+      const entry = envelope.create(1, 30);
+
+      assert.strictEqual(await store.inspect(entry, 60), 'fresh');
+      clock.tick(30000);
+      assert.strictEqual(await store.inspect(entry, 60), 'stale');
+      assert.strictEqual(await store.inspect(entry), 'expired');
+    });
+
+    it('treats fresh errors as errors and expired ones as expired', async () => {
+      const entry = envelope.create(envelope.serialiseError(new Error('Not found')), 5, { error: true });
+
+      assert.strictEqual(await store.inspect(entry, 60), 'error');
+      clock.tick(5000);
+      assert.strictEqual(await store.inspect(entry, 60), 'expired');
+    });
+  });
+
+  describe('.write', () => {
+    it('writes the encoded result for the TTL', async () => {
+      await store.write({ segment: 'ceych', id: 'a' }, 1, 30, []);
+      sinon.assert.calledWith(cacheClient.set, { segment: 'ceych', id: 'a' }, sinon.match({ value: 1, ttl: 30000 }), 30000);
+    });
+  });
+});
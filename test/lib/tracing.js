@@ -0,0 +1,88 @@
+'use strict';
+
+const assert = require('chai').assert;
+const sinon = require('sinon');
+
+const tracing = require('../../lib/tracing');
+
+function createSpan() {
+  return {
+    setAttribute: sinon.stub().returnsThis(),
+    recordException: sinon.stub(),
+    setStatus: sinon.stub(),
+    end: sinon.stub()
+  };
+}
+
+describe('tracing', () => {
+  describe('.resolve', () => {
+    it('gets ceych\'s tracer from the OpenTelemetry API when given true', () => {
+      const tracer = { startActiveSpan: () => {} };
+      const api = { trace: { getTracer: sinon.stub().returns(tracer) } };
+
+      assert.strictEqual(tracing.resolve(true, api), tracer);
+      sinon.assert.calledWith(api.trace.getTracer, 'ceych');
+    });
+
+    it('throws an error when given true without the OpenTelemetry API installed', () => {
+      assert.throws(() => tracing.resolve(true, null), Error, 'Tracer can only be true when @opentelemetry/api is installed');
+    });
+
+    it('returns the tracer given', () => {
+      const tracer = { startActiveSpan: () => {} };
+      assert.strictEqual(tracing.resolve(tracer), tracer);
+    });
+
+    it('returns null when not given a tracer', () => {
+      assert.isNull(tracing.resolve(undefined));
+    });
+  });
+
+  describe('.inSpan', () => {
+    it('calls the function with a span that does nothing when there is no tracer', async () => {
+      const result = await tracing.inSpan(null, 'ceych.get', {}, async (span) => {
+        span.setAttribute('ceych.hit', true).setAttribute('ceych.tier', 'l1');
+        span.end();
+        return 1;
+      });
+
+      assert.strictEqual(result, 1);
+    });
+
+    it('calls the function with an active span, and ends it once the function resolves', async () => {
+      const span = createSpan();
+      const tracer = { startActiveSpan: sinon.stub().callsFake((name, opts, fn) => fn(span)) };
+
+      const result = await tracing.inSpan(tracer, 'ceych.get', { 'ceych.key': 'abc' }, async () => 1);
+
+      assert.strictEqual(result, 1);
+      sinon.assert.calledWith(tracer.startActiveSpan, 'ceych.get', { attributes: { 'ceych.key': 'abc' } });
+      sinon.assert.calledOnce(span.end);
+    });
+
+    it('records errors on the span', async () => {
+      const span = createSpan();
+      const tracer = { startActiveSpan: (name, opts, fn) => fn(span) };
+      const err = new Error('Cache Error!');
+
+      try {
+        await tracing.inSpan(tracer, 'ceych.get', {}, () => Promise.reject(err));
+      } catch (e) {
+        assert.strictEqual(e, err);
+        sinon.assert.calledWith(span.recordException, err);
+        sinon.assert.calledWith(span.setStatus, { code: 2, message: 'Cache Error!' });
+        return sinon.assert.calledOnce(span.end);
+      }
+      assert.fail('Expected error to be returned!');
+    });
+  });
+
+  describe('.isTracer', () => {
+    it('accepts true or an object with a startActiveSpan function', () => {
+      assert.isTrue(tracing.isTracer(true));
+      assert.isTrue(tracing.isTracer({ startActiveSpan: () => {} }));
+      assert.isFalse(tracing.isTracer({}));
+      assert.isFalse(tracing.isTracer('otel'));
+    });
+  });
+});
@@ -0,0 +1,123 @@
+'use strict';
+
+const assert = require('chai').assert;
+const sinon = require('sinon');
+
+const Versions = require('../../lib/versions');
+const LRU = require('../../lib/lru');
+const { createTagKey } = require('../../lib/utils');
+
+describe('Versions', () => {
+  let cacheClient;
+  let tagVersions;
+
+  beforeEach(() => {
+    cacheClient = {
+      get: sinon.stub().resolves(null),
+      set: sinon.stub().resolves()
+    };
+    tagVersions = new Versions(cacheClient, 60, createTagKey);
+  });
+
+  describe('.current', () => {
+    it('returns the stored version of each name', async () => {
+      cacheClient.get.withArgs(createTagKey('programme')).resolves({ item: 'v1' });
+
+      const versions = await tagVersions.current(['programme', 'episode']);
+      assert.deepEqual(versions, { programme: 'v1', episode: null });
+    });
+  });
+
+  describe('with an L1', () => {
+    let l1;
+    let broadcast;
+
+    beforeEach(() => {
+      l1 = new LRU();
+      broadcast = { publish: sinon.stub().resolves() };
+      tagVersions = new Versions(cacheClient, 60, createTagKey, { l1, broadcast });
+    });
+
+    it('holds versions read from the cache client in the L1', async () => {
+      cacheClient.get.withArgs(createTagKey('programme')).resolves({ item: 'v1' });
+
+      await tagVersions.current(['programme']);
+      assert.deepEqual(await tagVersions.current(['programme']), { programme: 'v1' });
+      sinon.assert.calledOnce(cacheClient.get);
+    });
+
+    it('does not hold names without a version', async () => {
+      await tagVersions.current(['programme']);
+      await tagVersions.current(['programme']);
+      sinon.assert.calledTwice(cacheClient.get);
+    });
+
+    it('holds new versions in the L1 and publishes that the old one was replaced', async () => {
+      const version = await tagVersions.bump('programme');
+
+      assert.strictEqual(l1.get(createTagKey('programme')), version);
+      sinon.assert.calledWith(broadcast.publish, { type: 'invalidate', key: createTagKey('programme') });
+    });
+  });
+
+  describe('.bump', () => {
+    it('stores a new version of the name for the TTL', async () => {
+      const version = await tagVersions.bump('programme');
+
+      assert.strictEqual(typeof version, 'string');
+      sinon.assert.calledWith(cacheClient.set, createTagKey('programme'), version, 60000);
+    });
+
+    it('creates a different version each time', async () => {
+      assert.notEqual(await tagVersions.bump('programme'), await tagVersions.bump('programme'));
+    });
+  });
+
+  describe('.ensure', () => {
+    it('creates versions for names that do not have one', async () => {
+      cacheClient.get.withArgs(createTagKey('programme')).resolves({ item: 'v1' });
+
+      const versions = await tagVersions.ensure(['programme', 'episode']);
+      assert.strictEqual(versions.programme, 'v1');
+      assert.strictEqual(typeof versions.episode, 'string');
+      sinon.assert.calledOnce(cacheClient.set);
+      sinon.assert.calledWith(cacheClient.set, createTagKey('episode'), versions.episode);
+    });
+
+    it('creates one version for concurrent calls for the same name', async () => {
+      const created = await Promise.all([tagVersions.ensure(['programme']), tagVersions.ensure(['programme', 'episode'])]);
+
+      assert.strictEqual(created[0].programme, created[1].programme);
+      sinon.assert.calledTwice(cacheClient.set);
+    });
+
+    it('uses the version that was stored last, when another was created at the same time', async () => {
+      cacheClient.get.onThirdCall().resolves({ item: 'other' });
+
+      const versions = await tagVersions.ensure(['programme', 'episode']);
+      assert.strictEqual(versions.programme, 'other');
+    });
+
+    it('resolves to null if a version was replaced since the time given', async () => {
+      const since = Date.now();
+      cacheClient.get.withArgs(createTagKey('programme')).resolves({ item: await tagVersions.bump('programme') });
+
+      assert.isNull(await tagVersions.ensure(['programme', 'episode'], since));
+      sinon.assert.calledOnce(cacheClient.set);
+    });
+
+    it('resolves to the versions if none were replaced since the time given', async () => {
+      cacheClient.get.withArgs(createTagKey('programme')).resolves({ item: await tagVersions.bump('programme') });
+
+      const versions = await tagVersions.ensure(['programme'], Date.now() + 1000);
+      assert.strictEqual(versions.programme, cacheClient.set.firstCall.args[1]);
+    });
+
+    it('treats versions without a time as never having replaced another', async () => {
+      cacheClient.get.withArgs(createTagKey('programme')).resolves({ item: '1f2e3d4c5b6a7988' });
+
+      const versions = await tagVersions.ensure(['programme'], Date.now());
+      assert.deepEqual(versions, { programme: '1f2e3d4c5b6a7988' });
+    });
+  });
+});